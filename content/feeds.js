@@ -0,0 +1,98 @@
+const { BASE_URL, postUrl } = require('./urls');
+
+const SITE_TITLE = process.env.SITE_TITLE || 'DiMonte Hypnose';
+const SITE_DESCRIPTION = process.env.SITE_DESCRIPTION || 'Beiträge von Bianca DiMonte';
+
+function xmlEscape(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Publication time of a post: its publish_at if it was scheduled, else its date
+function publishedAt(post) {
+  return new Date(post.publish_at || post.post_date);
+}
+
+function latestUpdate(posts) {
+  return posts.reduce((max, p) => (p.updated_at > max ? p.updated_at : max), new Date(0));
+}
+
+// ─────────────────────────────────────────
+// RSS 2.0
+// ─────────────────────────────────────────
+function buildRss({ title, selfUrl, posts }) {
+  const items = posts.map(p => `
+    <item>
+      <title>${xmlEscape(p.title)}</title>
+      <link>${xmlEscape(postUrl(p.slug))}</link>
+      <guid isPermaLink="true">${xmlEscape(postUrl(p.slug))}</guid>
+      <pubDate>${publishedAt(p).toUTCString()}</pubDate>
+      ${p.category ? `<category>${xmlEscape(p.category)}</category>` : ''}
+      <description>${xmlEscape(p.excerpt || p.meta_description || '')}</description>
+      <content:encoded>${xmlEscape(p.body_html)}</content:encoded>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${xmlEscape(title)}</title>
+    <link>${xmlEscape(BASE_URL)}</link>
+    <description>${xmlEscape(SITE_DESCRIPTION)}</description>
+    <language>de-DE</language>
+    <lastBuildDate>${latestUpdate(posts).toUTCString()}</lastBuildDate>
+    <atom:link href="${xmlEscape(selfUrl)}" rel="self" type="application/rss+xml" />${items}
+  </channel>
+</rss>
+`;
+}
+
+// ─────────────────────────────────────────
+// Atom 1.0
+// ─────────────────────────────────────────
+function buildAtom({ title, selfUrl, posts }) {
+  const entries = posts.map(p => `
+  <entry>
+    <title>${xmlEscape(p.title)}</title>
+    <link href="${xmlEscape(postUrl(p.slug))}" />
+    <id>${xmlEscape(postUrl(p.slug))}</id>
+    <published>${publishedAt(p).toISOString()}</published>
+    <updated>${new Date(p.updated_at).toISOString()}</updated>
+    ${p.category ? `<category term="${xmlEscape(p.category)}" />` : ''}
+    ${p.excerpt ? `<summary>${xmlEscape(p.excerpt)}</summary>` : ''}
+    <content type="html">${xmlEscape(p.body_html)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="de">
+  <title>${xmlEscape(title)}</title>
+  <subtitle>${xmlEscape(SITE_DESCRIPTION)}</subtitle>
+  <link href="${xmlEscape(BASE_URL)}" />
+  <link href="${xmlEscape(selfUrl)}" rel="self" />
+  <id>${xmlEscape(selfUrl)}</id>
+  <updated>${latestUpdate(posts).toISOString()}</updated>
+  <author><name>Bianca DiMonte</name></author>${entries}
+</feed>
+`;
+}
+
+// ─────────────────────────────────────────
+// sitemap.xml — entries: [{ loc, lastmod }]
+// ─────────────────────────────────────────
+function buildSitemap(entries) {
+  const urls = entries.map(e => `
+  <url>
+    <loc>${xmlEscape(e.loc)}</loc>${e.lastmod ? `
+    <lastmod>${new Date(e.lastmod).toISOString()}</lastmod>` : ''}
+  </url>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+}
+
+module.exports = { SITE_TITLE, buildRss, buildAtom, buildSitemap, latestUpdate };
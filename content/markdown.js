@@ -0,0 +1,91 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { slugify } = require('./slug');
+
+const WORDS_PER_MINUTE = 200;
+
+// Everything else the Markdown (or inline HTML in it) produces is dropped
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'strong', 'em', 'del', 'code', 'pre',
+    'blockquote', 'ul', 'ol', 'li', 'a', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    th: ['align'], td: ['align'],
+    ol: ['start']
+  },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // The post title is the page's h1
+    h1: 'h2',
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: /^https?:\/\//i.test(attribs.href || '') ? { ...attribs, rel: 'noopener noreferrer' } : attribs
+    })
+  }
+};
+
+// sanitize-html escapes exactly these in text it outputs
+const TEXT_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"' };
+
+// Plain text of a rendered heading for the toc: tags are stripped (script
+// and style with their content) and the escaping undone, so the text is
+// exactly what the heading shows. Whoever renders the toc escapes it.
+function headingText(html) {
+  const text = sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} });
+  return text.replace(/&(amp|lt|gt|quot);/g, m => TEXT_ENTITIES[m]).replace(/\s+/g, ' ').trim();
+}
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+// Markdown → { html, toc, reading_time }. The toc lists h2/h3 headings with
+// the ids that are set on them in the html.
+function renderMarkdown(source) {
+  const toc = [];
+  const seen = new Map();
+
+  const marked = new Marked({ gfm: true, breaks: false });
+  marked.use({
+    renderer: {
+      heading({ tokens, depth }) {
+        const inner = this.parser.parseInline(tokens);
+        const text = headingText(inner);
+        const base = slugify(text) || 'abschnitt';
+        const n = (seen.get(base) || 0) + 1;
+        seen.set(base, n);
+        const id = n > 1 ? `${base}-${n}` : base;
+        // h1 is rendered as h2 by the sanitizer, so it belongs to the top toc level
+        const level = Math.max(depth, 2);
+        if (level <= 3) toc.push({ id, text, level });
+        return `<h${depth} id="${id}">${inner}</h${depth}>\n`;
+      }
+    }
+  });
+
+  const html = sanitizeHtml(marked.parse(String(source || '')), SANITIZE_OPTIONS);
+  const text = sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} });
+  const reading_time = Math.max(1, Math.ceil(countWords(text) / WORDS_PER_MINUTE));
+
+  return { html, toc, reading_time };
+}
+
+// Adds body_html, toc and reading_time (minutes) to a post row
+function withRenderedBody(post) {
+  const { html, toc, reading_time } = renderMarkdown(post.body);
+  return { ...post, body_html: html, toc, reading_time };
+}
+
+// List views: the same reading_time as the post page, without the body
+function withReadingTime({ body, ...post }) {
+  return { ...post, reading_time: renderMarkdown(body).reading_time };
+}
+
+module.exports = { renderMarkdown, withRenderedBody, withReadingTime };
@@ -0,0 +1,75 @@
+const { slugify } = require('./slug');
+
+// Top-level paths the website uses for other things
+const RESERVED_PATHS = ['blog', 'shop', 'admin', 'api', 'media', 'feeds'];
+
+function normalizePageInput(body) {
+  const title = String(body.title || '').trim();
+  const slug = slugify(body.slug) || slugify(title);
+  const parentId = Number(body.parent_id);
+  const parent_id = Number.isInteger(parentId) && parentId > 0 ? parentId : null;
+  const content = String(body.body || '').trim();
+  let status = String(body.status || 'draft').trim().toLowerCase();
+  const sort_order = parseInt(body.sort_order || 0) || 0;
+  const show_in_nav = body.show_in_nav !== false && body.show_in_nav !== 'false';
+  const seo_title = String(body.seo_title || '').trim();
+  const meta_description = String(body.meta_description || '').trim();
+  if (!title) throw new Error('Titel fehlt');
+  if (!slug) throw new Error('Ungültiger Slug');
+  if (meta_description.length > 320) throw new Error('Meta-Beschreibung zu lang (max. 320 Zeichen)');
+  if (!['draft', 'published'].includes(status)) status = 'draft';
+  return { title, slug, parent_id, body: content, status, sort_order, show_in_nav, seo_title, meta_description };
+}
+
+// Full path for a page under parentId; rejects cycles and taken paths
+async function resolvePagePath(db, { parent_id, slug }, selfId = null) {
+  let path = slug;
+  if (parent_id) {
+    const chain = await db.query(
+      `WITH RECURSIVE up AS (
+         SELECT id, parent_id, path FROM pages WHERE id = $1
+         UNION ALL
+         SELECT p.id, p.parent_id, p.path FROM pages p JOIN up ON p.id = up.parent_id
+       )
+       SELECT id, path FROM up`,
+      [parent_id]
+    );
+    if (chain.rows.length === 0) throw new Error('Übergeordnete Seite nicht gefunden');
+    if (selfId && chain.rows.some(r => r.id === selfId)) throw new Error('Eine Seite kann nicht unter sich selbst liegen');
+    path = `${chain.rows[0].path}/${slug}`;
+  } else if (RESERVED_PATHS.includes(slug)) {
+    throw new Error(`"${slug}" ist reserviert`);
+  }
+
+  const taken = await db.query('SELECT 1 FROM pages WHERE path = $1 AND id IS DISTINCT FROM $2 LIMIT 1', [path, selfId]);
+  if (taken.rows.length > 0) throw new Error('Pfad bereits vergeben');
+  return path;
+}
+
+// After a slug/parent change: rewrite the paths of all descendants
+async function refreshChildPaths(db, pageId) {
+  await db.query(
+    `WITH RECURSIVE tree AS (
+       SELECT id, path FROM pages WHERE id = $1
+       UNION ALL
+       SELECT c.id, tree.path || '/' || c.slug FROM pages c JOIN tree ON c.parent_id = tree.id
+     )
+     UPDATE pages p SET path = tree.path, updated_at = NOW()
+     FROM tree WHERE p.id = tree.id AND p.id <> $1 AND p.path <> tree.path`,
+    [pageId]
+  );
+}
+
+// Flat rows (sorted by sort_order) → nested [{ ...page, children: [] }].
+// Rows whose parent is not in the list (e.g. an unpublished parent) are left out.
+function buildPageTree(rows) {
+  const byId = new Map(rows.map(r => [r.id, { ...r, children: [] }]));
+  const roots = [];
+  for (const node of byId.values()) {
+    if (!node.parent_id) roots.push(node);
+    else if (byId.has(node.parent_id)) byId.get(node.parent_id).children.push(node);
+  }
+  return roots;
+}
+
+module.exports = { normalizePageInput, resolvePagePath, refreshChildPaths, buildPageTree };
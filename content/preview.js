@@ -0,0 +1,56 @@
+const { signToken, verifyToken } = require('../tokens');
+const { BASE_URL } = require('./urls');
+
+const PURPOSE = 'post-preview';
+const DEFAULT_TTL_HOURS = 72;
+const MAX_TTL_HOURS = 24 * 30;
+
+function tokenFor(row) {
+  return signToken(PURPOSE, [row.id, row.post_id, new Date(row.expires_at).getTime()]);
+}
+
+function previewUrl(token) {
+  return `${BASE_URL}/blog/vorschau?token=${encodeURIComponent(token)}`;
+}
+
+async function createPreviewToken(db, postId, hours, createdBy) {
+  const ttl = Math.min(MAX_TTL_HOURS, Math.max(1, parseInt(hours) || DEFAULT_TTL_HOURS));
+  const result = await db.query(
+    `INSERT INTO post_preview_tokens (post_id, expires_at, created_by)
+     VALUES ($1, NOW() + make_interval(hours => $2), $3) RETURNING *`,
+    [postId, ttl, createdBy || '']
+  );
+  return serializePreviewToken(result.rows[0]);
+}
+
+function serializePreviewToken(row) {
+  const token = tokenFor(row);
+  return {
+    id: row.id,
+    post_id: row.post_id,
+    expires_at: row.expires_at,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at,
+    token,
+    url: previewUrl(token)
+  };
+}
+
+// Signature first (no DB hit for forged tokens), then revocation and expiry
+async function resolvePreviewToken(db, token) {
+  const fields = verifyToken(PURPOSE, token);
+  if (!fields) return null;
+  const [id, postId, expiresMs] = fields.map(Number);
+  if (!(expiresMs > Date.now())) return null;
+  const result = await db.query(
+    `UPDATE post_preview_tokens SET last_used_at = NOW()
+     WHERE id = $1 AND post_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING *`,
+    [id, postId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = { createPreviewToken, serializePreviewToken, resolvePreviewToken };
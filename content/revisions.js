@@ -0,0 +1,39 @@
+const { diffLines, diffWords } = require('diff');
+
+// Fields copied into every revision and put back on restore
+const CONTENT_FIELDS = ['title', 'category', 'post_date', 'body', 'excerpt', 'seo_title', 'meta_description', 'cover_image'];
+
+async function savePostRevision(db, post, author) {
+  const result = await db.query(
+    `INSERT INTO post_revisions (post_id, author, title, slug, category, post_date, body, status, excerpt, seo_title, meta_description, cover_image)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+    [post.id, author || '', post.title, post.slug, post.category, post.post_date, post.body, post.status,
+      post.excerpt, post.seo_title, post.meta_description, post.cover_image]
+  );
+  return result.rows[0].id;
+}
+
+function fieldValue(rev, field) {
+  const value = rev[field];
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value ?? '');
+}
+
+// Per-field change list between two revisions; the body is diffed by line,
+// short fields by word. Unchanged fields are left out.
+function diffRevisions(from, to) {
+  const changes = [];
+  for (const field of CONTENT_FIELDS) {
+    const a = fieldValue(from, field);
+    const b = fieldValue(to, field);
+    if (a === b) continue;
+    const parts = (field === 'body' ? diffLines(a, b) : diffWords(a, b))
+      .map(p => ({ value: p.value, added: !!p.added, removed: !!p.removed }));
+    changes.push({ field, parts });
+  }
+  return changes;
+}
+
+module.exports = { CONTENT_FIELDS, savePostRevision, diffRevisions };
@@ -0,0 +1,43 @@
+const pool = require('../db');
+const { sendPostPublishedNotification } = require('../shop/delivery');
+
+const INTERVAL_MS = 30 * 1000;
+const NOTIFY = process.env.POST_PUBLISH_NOTIFY === 'true';
+
+let timer = null;
+
+// Flip due scheduled posts to published. The UPDATE is atomic, so with
+// several instances running each post is only returned (and notified) once.
+async function publishDuePosts() {
+  const result = await pool.query(
+    `UPDATE posts
+     SET status = 'published', updated_at = NOW()
+     WHERE status = 'scheduled' AND publish_at <= NOW()
+     RETURNING id, title, slug, publish_at`
+  );
+
+  for (const post of result.rows) {
+    console.log(`[SCHEDULER] Published post ${post.id} (${post.slug})`);
+    if (NOTIFY) {
+      await sendPostPublishedNotification({ title: post.title, slug: post.slug })
+        .catch(e => console.error(`[SCHEDULER] Notification failed for post ${post.id}:`, e.message));
+    }
+  }
+
+  return result.rows;
+}
+
+function startScheduler() {
+  if (timer) return;
+  const tick = () => publishDuePosts().catch(e => console.error('[SCHEDULER] Tick failed:', e.message));
+  tick();
+  timer = setInterval(tick, INTERVAL_MS);
+  console.log(`[SCHEDULER] Running every ${INTERVAL_MS / 1000}s (notify = ${NOTIFY})`);
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startScheduler, stopScheduler, publishDuePosts };
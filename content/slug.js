@@ -0,0 +1,29 @@
+const UMLAUTS = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss' };
+
+// "Angst loslassen – Teil 2" → "angst-loslassen-teil-2"
+function slugify(str) {
+  return String(str || '')
+    .toLowerCase()
+    .replace(/[äöüß]/g, ch => UMLAUTS[ch])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+// Append -2, -3, … until no other post uses the slug
+async function uniquePostSlug(db, base, excludeId = null) {
+  let slug = base;
+  for (let n = 2; ; n++) {
+    const taken = await db.query(
+      'SELECT 1 FROM posts WHERE slug = $1 AND id IS DISTINCT FROM $2 LIMIT 1',
+      [slug, excludeId]
+    );
+    if (taken.rows.length === 0) return slug;
+    slug = `${base}-${n}`;
+  }
+}
+
+module.exports = { slugify, uniquePostSlug };
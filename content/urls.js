@@ -0,0 +1,31 @@
+const { slugify } = require('./slug');
+
+const BASE_URL = (process.env.BASE_URL || 'https://dimontehypnose.de').replace(/\/+$/, '');
+// Where this server is reachable from outside (for links in emails)
+const SERVER_URL = (process.env.SERVER_URL || BASE_URL).replace(/\/+$/, '');
+const ADMIN_URL = (process.env.ADMIN_URL || `${SERVER_URL}/admin`).replace(/\/+$/, '');
+
+// Public URLs on the website for CMS content
+function postUrl(slug) {
+  return `${BASE_URL}/blog/${slug}`;
+}
+
+function pageUrl(path) {
+  return `${BASE_URL}/${path}`;
+}
+
+function productUrl(product) {
+  return `${BASE_URL}/shop/${slugify(product.name)}`;
+}
+
+// Link to an endpoint of this server, e.g. serverUrl('/api/shop/events/cancel?token=…')
+function serverUrl(path) {
+  return `${SERVER_URL}${path}`;
+}
+
+// Deep link into an admin tab, e.g. adminUrl('nachrichten/12')
+function adminUrl(fragment = '') {
+  return `${ADMIN_URL}/${fragment ? `#${fragment}` : ''}`;
+}
+
+module.exports = { BASE_URL, postUrl, pageUrl, productUrl, serverUrl, adminUrl };
@@ -0,0 +1,111 @@
+const pool = require('./db');
+
+const POLL_INTERVAL_MS = 10 * 1000;
+// A job that has been "running" this long is assumed dead (crash, deploy)
+const STALE_AFTER_MINUTES = 10;
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+
+const handlers = new Map();
+let timer = null;
+let draining = null;
+
+// ─────────────────────────────────────────
+// Small job queue on Postgres: handlers register by type, jobs are claimed
+// with FOR UPDATE SKIP LOCKED (safe with several instances) and retried
+// with exponential backoff until max_attempts, then marked failed.
+// ─────────────────────────────────────────
+function registerJobHandler(type, fn) {
+  handlers.set(type, fn);
+}
+
+async function enqueueJob(db, type, payload = {}, { runAt = null, maxAttempts = null } = {}) {
+  const result = await db.query(
+    `INSERT INTO jobs (type, payload, run_at, max_attempts)
+     VALUES ($1, $2, COALESCE($3, NOW()), COALESCE($4, 10)) RETURNING *`,
+    [type, JSON.stringify(payload), runAt, maxAttempts]
+  );
+  return result.rows[0];
+}
+
+function backoffSeconds(attempts) {
+  return Math.min(MAX_DELAY_SECONDS, BASE_DELAY_SECONDS * 2 ** (attempts - 1));
+}
+
+async function claimJob() {
+  const result = await pool.query(
+    `UPDATE jobs SET status = 'running', locked_at = NOW(), attempts = attempts + 1
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE (status = 'pending' AND run_at <= NOW())
+          OR (status = 'running' AND locked_at < NOW() - make_interval(mins => $1))
+       ORDER BY run_at, id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [STALE_AFTER_MINUTES]
+  );
+  return result.rows[0] || null;
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  try {
+    if (!handler) throw new Error(`No handler for job type ${job.type}`);
+    await handler(job.payload, job);
+    await pool.query(
+      `UPDATE jobs SET status = 'done', locked_at = NULL, last_error = NULL, finished_at = NOW() WHERE id = $1`,
+      [job.id]
+    );
+  } catch (e) {
+    const failed = job.attempts >= job.max_attempts;
+    await pool.query(
+      `UPDATE jobs SET status = $2, locked_at = NULL, last_error = $3,
+         run_at = NOW() + make_interval(secs => $4), finished_at = CASE WHEN $2 = 'failed' THEN NOW() END
+       WHERE id = $1`,
+      [job.id, failed ? 'failed' : 'pending', e.message, backoffSeconds(job.attempts)]
+    );
+    console.error(`[JOBS] ${job.type} #${job.id} attempt ${job.attempts}/${job.max_attempts} failed:`, e.message);
+  }
+}
+
+// Works through everything that is due; concurrent calls share one run
+function runDueJobs() {
+  if (draining) return draining;
+  draining = (async () => {
+    let job;
+    while ((job = await claimJob())) await runJob(job);
+  })().finally(() => { draining = null; });
+  return draining;
+}
+
+// Right after enqueueing, so a webhook's work does not wait for the next poll
+function kickJobs() {
+  runDueJobs().catch(e => console.error('[JOBS] Run failed:', e.message));
+}
+
+// Admin: failed job back into the queue with a fresh set of attempts
+async function retryJob(id) {
+  const result = await pool.query(
+    `UPDATE jobs SET status = 'pending', attempts = 0, run_at = NOW(), last_error = NULL, finished_at = NULL
+     WHERE id = $1 AND status = 'failed' RETURNING *`,
+    [id]
+  );
+  if (result.rows.length > 0) kickJobs();
+  return result.rows[0] || null;
+}
+
+function startJobWorker() {
+  if (timer) return;
+  kickJobs();
+  timer = setInterval(kickJobs, POLL_INTERVAL_MS);
+  console.log(`[JOBS] Worker polling every ${POLL_INTERVAL_MS / 1000}s (${[...handlers.keys()].join(', ') || 'no handlers'})`);
+}
+
+function stopJobWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { registerJobHandler, enqueueJob, runDueJobs, kickJobs, retryJob, startJobWorker, stopJobWorker };
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { slugify } = require('../content/slug');
+
+const VARIANT_WIDTHS = [320, 640, 1280, 1920];
+const FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+const MIME_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+function encode(pipeline, format) {
+  if (format === 'jpeg') return pipeline.jpeg({ quality: 82, mozjpeg: true });
+  if (format === 'png') return pipeline.png({ compressionLevel: 9 });
+  return pipeline.webp({ quality: 80 });
+}
+
+// Decode an upload, strip EXIF (GPS!) and build resized + WebP variants.
+// Returns the row data for `media` and the files to write to storage.
+async function processImage(buffer, originalName) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch {
+    throw new Error('Datei ist kein lesbares Bild');
+  }
+  const format = meta.format;
+  if (!FORMATS[format]) throw new Error('Nur JPEG, PNG oder WebP erlaubt');
+
+  const normalized = await encode(sharp(buffer).rotate(), format).toBuffer({ resolveWithObject: true });
+  const { width, height } = normalized.info;
+
+  const hash = crypto.createHash('sha256').update(normalized.data).digest('hex').slice(0, 10);
+  const now = new Date();
+  const dir = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const base = `${dir}/${hash}-${slugify(originalName.replace(/\.[^.]+$/, '')) || 'bild'}`;
+
+  const key = `${base}.${FORMATS[format]}`;
+  const files = [{ key, buffer: normalized.data }];
+  const variants = [];
+
+  const targets = VARIANT_WIDTHS.filter(w => w < width).map(w => ({ w, formats: [format, 'webp'] }));
+  // Full-size WebP alongside a JPEG/PNG original
+  if (format !== 'webp') targets.push({ w: width, formats: ['webp'] });
+
+  for (const { w, formats } of targets) {
+    for (const f of [...new Set(formats)]) {
+      const out = await encode(sharp(normalized.data).resize({ width: w }), f).toBuffer({ resolveWithObject: true });
+      const variantKey = `${base}-w${w}.${FORMATS[f]}`;
+      files.push({ key: variantKey, buffer: out.data });
+      variants.push({ key: variantKey, width: out.info.width, height: out.info.height, format: f, size: out.info.size });
+    }
+  }
+
+  return {
+    row: {
+      storage_key: key,
+      original_name: originalName,
+      mime_type: MIME_TYPES[format],
+      size_bytes: normalized.info.size,
+      width,
+      height,
+      variants
+    },
+    files
+  };
+}
+
+module.exports = { processImage };
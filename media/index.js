@@ -0,0 +1,131 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const pool = require('../db');
+const { storage } = require('./storage');
+const { processImage } = require('./images');
+
+const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Row → API shape with public URLs
+function serializeMedia(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    url: storage.url(row.storage_key),
+    original_name: row.original_name,
+    mime_type: row.mime_type,
+    size_bytes: row.size_bytes,
+    width: row.width,
+    height: row.height,
+    alt_text: row.alt_text,
+    variants: (row.variants || []).map(v => ({ ...v, url: storage.url(v.key) })),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+// Adds `image` (serialized media or null) to rows that carry a media_id
+async function attachMedia(rows) {
+  const ids = [...new Set(rows.map(r => r.media_id).filter(Boolean))];
+  const media = ids.length
+    ? (await pool.query('SELECT * FROM media WHERE id = ANY($1::int[])', [ids])).rows
+    : [];
+  const byId = new Map(media.map(m => [m.id, serializeMedia(m)]));
+  return rows.map(r => ({ ...r, image: byId.get(r.media_id) || null }));
+}
+
+function allKeys(row) {
+  return [row.storage_key, ...(row.variants || []).map(v => v.key)];
+}
+
+// ─────────────────────────────────────────
+// ADMIN: List media (mounted behind requireAuth in server.js)
+// ─────────────────────────────────────────
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 60));
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+    const result = await pool.query('SELECT * FROM media ORDER BY created_at DESC, id DESC LIMIT $1 OFFSET $2', [limit, offset]);
+    res.json({ ok: true, items: result.rows.map(serializeMedia) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ─────────────────────────────────────────
+// ADMIN: Upload (multipart field "file", optional "alt_text")
+// ─────────────────────────────────────────
+router.post('/', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ ok: false, error: 'Keine Datei' });
+    const altText = String(req.body.alt_text || '').trim();
+    const { row, files } = await processImage(req.file.buffer, req.file.originalname || '');
+
+    // Same image uploaded again: hand back the existing entry
+    const existing = await pool.query('SELECT * FROM media WHERE storage_key = $1 LIMIT 1', [row.storage_key]);
+    if (existing.rows.length > 0) return res.json({ ok: true, item: serializeMedia(existing.rows[0]), duplicate: true });
+
+    for (const f of files) await storage.put(f.key, f.buffer);
+
+    const result = await pool.query(
+      `INSERT INTO media (storage_key, original_name, mime_type, size_bytes, width, height, alt_text, variants)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [row.storage_key, row.original_name, row.mime_type, row.size_bytes, row.width, row.height, altText, JSON.stringify(row.variants)]
+    );
+    console.log(`[MEDIA] Uploaded ${row.storage_key} (${files.length} files)`);
+    res.json({ ok: true, item: serializeMedia(result.rows[0]) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ─────────────────────────────────────────
+// ADMIN: Update alt text
+// ─────────────────────────────────────────
+router.put('/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
+    const altText = String(req.body.alt_text || '').trim();
+    const result = await pool.query('UPDATE media SET alt_text = $1, updated_at = NOW() WHERE id = $2 RETURNING *', [altText, id]);
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    res.json({ ok: true, item: serializeMedia(result.rows[0]) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ─────────────────────────────────────────
+// ADMIN: Delete (products lose the image via ON DELETE SET NULL)
+// ─────────────────────────────────────────
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
+    const result = await pool.query('DELETE FROM media WHERE id = $1 RETURNING *', [id]);
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    for (const key of allKeys(result.rows[0])) {
+      await storage.remove(key).catch(e => console.error(`[MEDIA] Could not remove ${key}:`, e.message));
+    }
+    res.json({ ok: true, deletedId: id });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Multer errors (file too large, …) as JSON
+router.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const error = err.code === 'LIMIT_FILE_SIZE' ? 'Datei zu groß (max. 15 MB)' : err.message;
+    return res.status(400).json({ ok: false, error });
+  }
+  next(err);
+});
+
+module.exports = { router, serializeMedia, attachMedia };
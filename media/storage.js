@@ -0,0 +1,46 @@
+const path = require('path');
+const fs = require('fs');
+
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, '..', 'uploads');
+const MEDIA_PUBLIC_URL = (process.env.MEDIA_PUBLIC_URL || '/media').replace(/\/+$/, '');
+
+// ─────────────────────────────────────────
+// Storage interface: put / remove / url / root
+// Keys are relative paths like "2025/03/ab12cd34-portrait-w800.webp".
+// Local disk is the only backend for now; anything with the same four
+// functions (e.g. S3) can replace it. path() is local-only and used for
+// private files that are streamed by a route instead of served statically.
+// ─────────────────────────────────────────
+function safePath(root, key) {
+  const full = path.resolve(root, key);
+  if (!full.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return full;
+}
+
+function createLocalStorage(root = MEDIA_DIR, publicUrl = MEDIA_PUBLIC_URL) {
+  return {
+    root,
+
+    async put(key, buffer) {
+      const file = safePath(root, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(safePath(root, key), { force: true });
+    },
+
+    url(key) {
+      return `${publicUrl}/${key}`;
+    },
+
+    path(key) {
+      return safePath(root, key);
+    }
+  };
+}
+
+const storage = createLocalStorage();
+
+module.exports = { storage, createLocalStorage };
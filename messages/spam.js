@@ -0,0 +1,111 @@
+const { hashValue } = require('../tokens');
+
+const LIMITS = {
+  name: { max: 200, label: 'Name' },
+  email: { max: 254, label: 'E-Mail' },
+  subject: { max: 300, label: 'Betreff' },
+  body: { max: 5000, label: 'Nachricht' }
+};
+const RATE_WINDOW_MINUTES = 60;
+const MAX_PER_IP = parseInt(process.env.CONTACT_MAX_PER_IP || 5);
+const MAX_PER_EMAIL = parseInt(process.env.CONTACT_MAX_PER_EMAIL || 3);
+// Free event registrations (shop/index.js): one address may sign up for a few events
+const RATE_LIMITS = {
+  messages: { perIp: MAX_PER_IP, perEmail: MAX_PER_EMAIL },
+  event_registrations: {
+    perIp: parseInt(process.env.EVENT_MAX_PER_IP || 5),
+    perEmail: parseInt(process.env.EVENT_MAX_PER_EMAIL || 5)
+  }
+};
+
+// Honeypot: hidden field real visitors never fill in
+const HONEYPOT_FIELD = 'website';
+// form_started_at: ms timestamp set by the website when the form is rendered
+const MIN_FILL_SECONDS = 3;
+const MAX_LINKS = 2;
+const SPAM_THRESHOLD = 3;
+
+const KEYWORDS = (process.env.SPAM_KEYWORDS ||
+  'viagra,cialis,casino,crypto,bitcoin,forex,backlinks,seo services,seo-agentur,guest post,loan,porn,escort,betting')
+  .split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+
+// Whole words only (\b is ASCII-only, so letters/digits via \p{…}): "porn"
+// must not hit "Pornosucht". Spaces in a keyword match any whitespace.
+const KEYWORD_PATTERNS = KEYWORDS.map(k => ({
+  keyword: k,
+  pattern: new RegExp(
+    `(?<![\\p{L}\\p{N}])${k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`,
+    'u'
+  )
+}));
+
+function hashIp(ip) {
+  return hashValue('contact-ip', ip);
+}
+
+// Error text for the first field that is too long, else null.
+// Oversized submissions are rejected outright, not filed as spam.
+function lengthError(fields) {
+  for (const [field, { max, label }] of Object.entries(LIMITS)) {
+    if (String(fields[field] || '').length > max) return `${label} ist zu lang (max. ${max} Zeichen)`;
+  }
+  return null;
+}
+
+// Per-IP / per-email limits over the last hour, spam included.
+// table: a key of RATE_LIMITS (contact messages or event registrations).
+async function isRateLimited(db, { ipHash, email }, table = 'messages') {
+  const limits = RATE_LIMITS[table];
+  const result = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE ip_hash = $1) AS by_ip,
+       COUNT(*) FILTER (WHERE lower(email) = lower($2)) AS by_email
+     FROM ${table}
+     WHERE created_at > NOW() - make_interval(mins => $3)
+       AND (ip_hash = $1 OR lower(email) = lower($2))`,
+    [ipHash, email, RATE_WINDOW_MINUTES]
+  );
+  const row = result.rows[0];
+  return parseInt(row.by_ip) >= limits.perIp || parseInt(row.by_email) >= limits.perEmail;
+}
+
+// Heuristic score; reaching SPAM_THRESHOLD files the message as spam.
+// Returns { spam, score, reasons }.
+function scoreMessage(reqBody, { name, subject, body }) {
+  const reasons = [];
+  let score = 0;
+
+  if (String(reqBody[HONEYPOT_FIELD] || '').trim()) {
+    return { spam: true, score: 10, reasons: ['honeypot'] };
+  }
+
+  const startedAt = Number(reqBody.form_started_at);
+  if (!startedAt) {
+    score += 1;
+    reasons.push('no-timestamp');
+  } else if ((Date.now() - startedAt) / 1000 < MIN_FILL_SECONDS) {
+    score += 3;
+    reasons.push('too-fast');
+  }
+
+  const text = `${name} ${subject} ${body}`.toLowerCase();
+  const links = (text.match(/https?:\/\/|www\./g) || []).length;
+  if (links > MAX_LINKS) {
+    score += 2;
+    reasons.push(`links:${links}`);
+  }
+  if (/https?:\/\/|www\./.test(String(name).toLowerCase())) {
+    score += 2;
+    reasons.push('link-in-name');
+  }
+
+  const hits = KEYWORD_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ keyword }) => keyword);
+  if (hits.length) {
+    score += hits.length;
+    reasons.push(...hits.map(k => `keyword:${k}`));
+  }
+
+  return { spam: score >= SPAM_THRESHOLD, score, reasons };
+}
+
+module.exports = { hashIp, lengthError, isRateLimited, scoreMessage };
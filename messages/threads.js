@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// Replies to our emails go to <local>+<token>@<domain> and arrive via the
+// inbound webhook. Without INBOUND_EMAIL_DOMAIN no Reply-To is set and
+// answers land in the normal FROM_EMAIL mailbox as before.
+const INBOUND_EMAIL_DOMAIN = (process.env.INBOUND_EMAIL_DOMAIN || '').trim().toLowerCase();
+const INBOUND_EMAIL_LOCAL = (process.env.INBOUND_EMAIL_LOCAL || 'antwort').trim().toLowerCase();
+const INBOUND_WEBHOOK_SECRET = process.env.INBOUND_WEBHOOK_SECRET || '';
+
+// Lowercase hex only: mail servers are allowed to change the case of the local part
+async function ensureReplyToken(db, messageId) {
+  const token = crypto.randomBytes(12).toString('hex');
+  const result = await db.query(
+    'UPDATE messages SET reply_token = COALESCE(reply_token, $1) WHERE id = $2 RETURNING reply_token',
+    [token, messageId]
+  );
+  return result.rows[0]?.reply_token || null;
+}
+
+function replyAddress(token) {
+  if (!INBOUND_EMAIL_DOMAIN || !token) return null;
+  return `${INBOUND_EMAIL_LOCAL}+${token}@${INBOUND_EMAIL_DOMAIN}`;
+}
+
+// "Name <a@b.de>" → "a@b.de"
+function bareAddress(value) {
+  const str = String(value || '').trim();
+  const match = str.match(/<([^>]+)>/);
+  return (match ? match[1] : str).trim().toLowerCase();
+}
+
+function extractReplyToken(addresses) {
+  const pattern = new RegExp(`^${INBOUND_EMAIL_LOCAL.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\+([0-9a-f]{24})@`);
+  for (const addr of addresses) {
+    const match = bareAddress(addr).match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function asList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(v => (typeof v === 'object' ? v.email || v.address || '' : v));
+  return String(value).split(',');
+}
+
+// Accepts the provider payload ({ type, data: { from, to, subject, text } }) as
+// well as the flat stand-in used for local testing:
+//   { "from": "Anna <anna@example.de>", "to": "antwort+<token>@reply.example.de",
+//     "subject": "Re: Ihre Anfrage", "text": "Danke!" }
+function parseInboundPayload(payload) {
+  const data = payload?.data && typeof payload.data === 'object' ? payload.data : payload || {};
+  const from = asList(data.from)[0] || '';
+  return {
+    from: bareAddress(from),
+    to: [...asList(data.to), ...asList(data.cc)].map(bareAddress),
+    subject: String(data.subject || '').trim(),
+    text: String(data.text || data.plain || '').replace(/\r\n/g, '\n'),
+    providerId: data.email_id || data.id || data.message_id || null
+  };
+}
+
+// Cut the quoted original ("Am … schrieb …:", "On … wrote:", "> …") off a reply
+function stripQuotedReply(text) {
+  const lines = String(text || '').split('\n');
+  const cut = lines.findIndex(line =>
+    /^\s*>/.test(line) ||
+    /^\s*(Am|On)\s.+(schrieb|wrote)\s*.*:\s*$/.test(line) ||
+    /^-{2,}\s*(Ursprüngliche Nachricht|Original Message)/i.test(line)
+  );
+  const kept = (cut === -1 ? lines : lines.slice(0, cut)).join('\n').trim();
+  return kept || String(text || '').trim();
+}
+
+function checkWebhookSecret(given) {
+  if (!INBOUND_WEBHOOK_SECRET) return false;
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(INBOUND_WEBHOOK_SECRET);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function loadThread(db, messageId) {
+  const result = await db.query(
+    `SELECT id, direction, from_email, to_email, subject, body, author, created_at
+     FROM message_replies WHERE message_id = $1 ORDER BY created_at, id`,
+    [messageId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  ensureReplyToken,
+  replyAddress,
+  extractReplyToken,
+  parseInboundPayload,
+  stripQuotedReply,
+  checkWebhookSecret,
+  loadThread
+};
@@ -0,0 +1,162 @@
+const path = require('path');
+const fs = require('fs');
+
+require('dotenv').config();
+
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Arbitrary but fixed key so two processes never migrate at the same time
+const LOCK_KEY = 724011;
+
+// ─────────────────────────────────────────
+// Migration files: NNN_name.up.sql / NNN_name.down.sql
+// ─────────────────────────────────────────
+function listMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR);
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const match = /^(\d+)_([\w-]+)\.(up|down)\.sql$/.exec(file);
+    if (!match) continue;
+    const version = Number(match[1]);
+    const entry = byVersion.get(version) || { version, name: match[2] };
+    if (entry.name !== match[2]) throw new Error(`Migration ${version} has conflicting names`);
+    entry[match[3]] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (!m.up) throw new Error(`Migration ${m.version}_${m.name} has no up file`);
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`);
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version ASC');
+  return result.rows.map(r => r.version);
+}
+
+async function withLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runFile(client, file, after) {
+  const sql = fs.readFileSync(file, 'utf8');
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await after();
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw new Error(`${path.basename(file)}: ${e.message}`);
+  }
+}
+
+// ─────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────
+async function status() {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = new Set(await appliedVersions(client));
+    return listMigrations().map(m => ({ version: m.version, name: m.name, applied: applied.has(m.version) }));
+  } finally {
+    client.release();
+  }
+}
+
+async function pending() {
+  return (await status()).filter(m => !m.applied);
+}
+
+async function up() {
+  return withLock(async (client) => {
+    const applied = new Set(await appliedVersions(client));
+    const done = [];
+    for (const m of listMigrations()) {
+      if (applied.has(m.version)) continue;
+      await runFile(client, m.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [m.version, m.name]
+      ));
+      console.log(`[MIGRATE] Applied ${m.version}_${m.name}`);
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+async function down(steps = 1) {
+  return withLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const migrations = listMigrations();
+    const done = [];
+    for (const version of applied.reverse().slice(0, steps)) {
+      const m = migrations.find(x => x.version === version);
+      if (!m?.down) throw new Error(`Migration ${version} cannot be rolled back (no down file)`);
+      await runFile(client, m.down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [m.version]
+      ));
+      console.log(`[MIGRATE] Rolled back ${m.version}_${m.name}`);
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+module.exports = { status, pending, up, down };
+
+// ─────────────────────────────────────────
+// CLI: node migrate.js [up|down [steps]|status]
+// ─────────────────────────────────────────
+if (require.main === module) {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  (async () => {
+    if (command === 'up') {
+      const done = await up();
+      if (!done.length) console.log('[MIGRATE] Nothing to migrate');
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg) : 1;
+      if (!Number.isInteger(steps) || steps <= 0) throw new Error('Invalid step count');
+      await down(steps);
+    } else if (command === 'status') {
+      for (const m of await status()) {
+        console.log(`${m.applied ? '[x]' : '[ ]'} ${String(m.version).padStart(3, '0')}_${m.name}`);
+      }
+    } else {
+      throw new Error(`Unknown command: ${command}`);
+    }
+  })()
+    .then(() => pool.end())
+    .catch(async (e) => {
+      console.error('[MIGRATE] Failed:', e.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
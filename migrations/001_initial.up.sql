@@ -79,7 +79,9 @@ CREATE INDEX IF NOT EXISTS idx_orders_stripe_session ON orders(stripe_session_id
 -- ─────────────────────────────────────────
 -- SEED: Bianca's Produkte
 -- ─────────────────────────────────────────
-INSERT INTO products (name, description, price_cents, type, sort_order) VALUES
+-- Only on an empty table — existing databases already have these rows
+INSERT INTO products (name, description, price_cents, type, sort_order)
+SELECT * FROM (VALUES
   ('Hypnose Sitzung',            'Einzelne Hypnosesitzung, 60–90 Minuten via Zoom.',             23000, 'sitzung', 1),
   ('Hypnose Maxisitzung',        'Intensive Hypnosesitzung, 120 Minuten via Zoom.',               38000, 'sitzung', 2),
   ('Mikrocoaching',              'Fokussiertes Coaching-Gespräch, 15 Minuten via Zoom.',           7500, 'sitzung', 3),
@@ -87,4 +89,5 @@ INSERT INTO products (name, description, price_cents, type, sort_order) VALUES
   ('Hypnotisches Magenband 1:1', 'Intensives 1:1-Programm zur Gewichtsreduktion via Hypnose.',   96000, 'paket',   5),
   ('3 Tage Intensiv Transformation', 'Dreitägiges Intensivprogramm für tiefgreifende Veränderung.', 390000, 'paket', 6),
   ('Live: Ruhe im Kopf',         'Kostenloser Live-Event. Anmeldung erforderlich.',                   0, 'event',  7)
-ON CONFLICT DO NOTHING;
\ No newline at end of file
+) AS seed(name, description, price_cents, type, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM products);
\ No newline at end of file
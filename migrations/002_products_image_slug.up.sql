@@ -0,0 +1,2 @@
+-- Bild-Slug (shop1 – shop10) for the website's product tiles
+ALTER TABLE products ADD COLUMN IF NOT EXISTS image_slug TEXT;
@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS post_slug_redirects;
+DROP INDEX IF EXISTS idx_posts_slug;
+ALTER TABLE posts
+  DROP COLUMN IF EXISTS slug,
+  DROP COLUMN IF EXISTS seo_title,
+  DROP COLUMN IF EXISTS meta_description,
+  DROP COLUMN IF EXISTS excerpt,
+  DROP COLUMN IF EXISTS cover_image;
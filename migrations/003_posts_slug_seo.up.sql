@@ -0,0 +1,32 @@
+-- ─────────────────────────────────────────
+-- posts: slug + SEO metadata
+-- ─────────────────────────────────────────
+ALTER TABLE posts
+  ADD COLUMN slug TEXT,
+  ADD COLUMN seo_title TEXT NOT NULL DEFAULT '',
+  ADD COLUMN meta_description TEXT NOT NULL DEFAULT '',
+  ADD COLUMN excerpt TEXT NOT NULL DEFAULT '',
+  ADD COLUMN cover_image TEXT;
+
+-- Backfill slugs from titles (same rules as content/slug.js)
+UPDATE posts SET slug = trim(both '-' from regexp_replace(
+  replace(replace(replace(replace(lower(title), 'ä', 'ae'), 'ö', 'oe'), 'ü', 'ue'), 'ß', 'ss'),
+  '[^a-z0-9]+', '-', 'g'
+));
+UPDATE posts SET slug = 'beitrag-' || id WHERE slug = '';
+UPDATE posts p SET slug = p.slug || '-' || p.id
+WHERE EXISTS (SELECT 1 FROM posts q WHERE q.slug = p.slug AND q.id < p.id);
+
+ALTER TABLE posts ALTER COLUMN slug SET NOT NULL;
+CREATE UNIQUE INDEX idx_posts_slug ON posts(slug);
+
+-- ─────────────────────────────────────────
+-- post_slug_redirects: old slug → post
+-- ─────────────────────────────────────────
+CREATE TABLE post_slug_redirects (
+  slug TEXT PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_post_slug_redirects_post ON post_slug_redirects(post_id);
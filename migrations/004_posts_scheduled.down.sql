@@ -0,0 +1,8 @@
+UPDATE posts SET status = 'draft' WHERE status = 'scheduled';
+
+DROP INDEX IF EXISTS idx_posts_publish_at;
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_scheduled_has_publish_at;
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_status_check;
+ALTER TABLE posts ADD CONSTRAINT posts_status_check
+  CHECK (status IN ('draft','published'));
+ALTER TABLE posts DROP COLUMN IF EXISTS publish_at;
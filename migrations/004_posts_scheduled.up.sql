@@ -0,0 +1,12 @@
+-- ─────────────────────────────────────────
+-- posts: scheduled publishing
+-- ─────────────────────────────────────────
+ALTER TABLE posts ADD COLUMN publish_at TIMESTAMPTZ;
+
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_status_check;
+ALTER TABLE posts ADD CONSTRAINT posts_status_check
+  CHECK (status IN ('draft','scheduled','published'));
+ALTER TABLE posts ADD CONSTRAINT posts_scheduled_has_publish_at
+  CHECK (status <> 'scheduled' OR publish_at IS NOT NULL);
+
+CREATE INDEX idx_posts_publish_at ON posts(publish_at) WHERE status = 'scheduled';
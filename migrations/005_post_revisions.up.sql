@@ -0,0 +1,26 @@
+-- ─────────────────────────────────────────
+-- post_revisions: full snapshot per save
+-- ─────────────────────────────────────────
+CREATE TABLE post_revisions (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  author TEXT NOT NULL DEFAULT '',
+  title TEXT NOT NULL,
+  slug TEXT NOT NULL,
+  category TEXT NOT NULL DEFAULT '',
+  post_date DATE NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL,
+  excerpt TEXT NOT NULL DEFAULT '',
+  seo_title TEXT NOT NULL DEFAULT '',
+  meta_description TEXT NOT NULL DEFAULT '',
+  cover_image TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_post_revisions_post ON post_revisions(post_id, created_at DESC);
+
+-- Current state of every existing post becomes its first revision
+INSERT INTO post_revisions (post_id, author, title, slug, category, post_date, body, status, excerpt, seo_title, meta_description, cover_image, created_at)
+SELECT id, 'import', title, slug, category, post_date, body, status, excerpt, seo_title, meta_description, cover_image, updated_at
+FROM posts;
@@ -0,0 +1,11 @@
+-- ─────────────────────────────────────────
+-- posts: German full-text search
+-- ─────────────────────────────────────────
+ALTER TABLE posts ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('german', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('german', coalesce(excerpt, '')), 'B') ||
+  setweight(to_tsvector('german', coalesce(body, '')), 'C')
+) STORED;
+
+CREATE INDEX idx_posts_search ON posts USING GIN (search_vector);
+CREATE INDEX idx_posts_category ON posts(lower(category));
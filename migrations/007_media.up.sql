@@ -0,0 +1,21 @@
+-- ─────────────────────────────────────────
+-- media: uploaded images + generated variants
+-- ─────────────────────────────────────────
+CREATE TABLE media (
+  id SERIAL PRIMARY KEY,
+  storage_key TEXT UNIQUE NOT NULL,
+  original_name TEXT NOT NULL DEFAULT '',
+  mime_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  alt_text TEXT NOT NULL DEFAULT '',
+  variants JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_media_created ON media(created_at DESC);
+
+-- Product images come from the library now; image_slug stays as a fallback
+ALTER TABLE products ADD COLUMN media_id INTEGER REFERENCES media(id) ON DELETE SET NULL;
@@ -0,0 +1,23 @@
+-- ─────────────────────────────────────────
+-- pages: evergreen content (Impressum, Datenschutz, Über mich)
+-- path is the full hierarchical slug, e.g. "ueber-mich/ausbildung"
+-- ─────────────────────────────────────────
+CREATE TABLE pages (
+  id SERIAL PRIMARY KEY,
+  parent_id INTEGER REFERENCES pages(id) ON DELETE RESTRICT,
+  slug TEXT NOT NULL,
+  path TEXT NOT NULL UNIQUE,
+  title TEXT NOT NULL,
+  body TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft','published')),
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  show_in_nav BOOLEAN NOT NULL DEFAULT true,
+  seo_title TEXT NOT NULL DEFAULT '',
+  meta_description TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (parent_id IS DISTINCT FROM id)
+);
+
+CREATE INDEX idx_pages_parent ON pages(parent_id, sort_order);
+CREATE INDEX idx_pages_status ON pages(status);
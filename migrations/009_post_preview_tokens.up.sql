@@ -0,0 +1,15 @@
+-- ─────────────────────────────────────────
+-- post_preview_tokens: shareable draft links
+-- The token itself is signed (content/preview.js); this row makes it revocable.
+-- ─────────────────────────────────────────
+CREATE TABLE post_preview_tokens (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_by TEXT NOT NULL DEFAULT '',
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_post_preview_tokens_post ON post_preview_tokens(post_id);
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_messages_email_created;
+DROP INDEX IF EXISTS idx_messages_ip_created;
+DROP INDEX IF EXISTS idx_messages_spam;
+ALTER TABLE messages
+  DROP COLUMN IF EXISTS spam,
+  DROP COLUMN IF EXISTS spam_score,
+  DROP COLUMN IF EXISTS spam_reasons,
+  DROP COLUMN IF EXISTS ip_hash;
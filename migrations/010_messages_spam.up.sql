@@ -0,0 +1,13 @@
+-- ─────────────────────────────────────────
+-- messages: spam folder + rate-limit data
+-- ip_hash is an HMAC of the sender IP; the IP itself is not stored
+-- ─────────────────────────────────────────
+ALTER TABLE messages
+  ADD COLUMN spam BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN spam_score INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN spam_reasons TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN ip_hash TEXT;
+
+CREATE INDEX idx_messages_spam ON messages(spam);
+CREATE INDEX idx_messages_ip_created ON messages(ip_hash, created_at DESC);
+CREATE INDEX idx_messages_email_created ON messages(lower(email), created_at DESC);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS message_replies;
+ALTER TABLE messages DROP COLUMN IF EXISTS reply_token;
@@ -0,0 +1,21 @@
+-- ─────────────────────────────────────────
+-- message_replies: conversation thread per contact message
+-- direction 'out' = sent from the admin, 'in' = received via the inbound webhook.
+-- reply_token goes into the Reply-To address so answers find their thread.
+-- ─────────────────────────────────────────
+ALTER TABLE messages ADD COLUMN reply_token TEXT UNIQUE;
+
+CREATE TABLE message_replies (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  direction TEXT NOT NULL CHECK (direction IN ('out', 'in')),
+  from_email TEXT NOT NULL DEFAULT '',
+  to_email TEXT NOT NULL DEFAULT '',
+  subject TEXT NOT NULL DEFAULT '',
+  body TEXT NOT NULL,
+  provider_id TEXT,
+  author TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_message_replies_message ON message_replies(message_id, created_at);
@@ -0,0 +1,12 @@
+-- ─────────────────────────────────────────
+-- messages: full-text search for the admin inbox
+-- Name uses 'simple' (no stemming), subject/body 'german'.
+-- Email addresses are matched with ILIKE instead (partial addresses).
+-- ─────────────────────────────────────────
+ALTER TABLE messages ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('simple', coalesce(name, '')), 'A') ||
+  setweight(to_tsvector('german', coalesce(subject, '')), 'B') ||
+  setweight(to_tsvector('german', coalesce(body, '')), 'C')
+) STORED;
+
+CREATE INDEX idx_messages_search ON messages USING GIN (search_vector);
@@ -0,0 +1,26 @@
+-- ─────────────────────────────────────────
+-- order_items: several products per order (cart checkout)
+-- Name, type and price are copied so old orders stay readable after product edits.
+-- orders.product_id is kept for older orders and holds the first item otherwise.
+-- ─────────────────────────────────────────
+CREATE TABLE order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  product_name TEXT NOT NULL,
+  product_type TEXT NOT NULL,
+  unit_amount_cents INTEGER NOT NULL CHECK (unit_amount_cents >= 0),
+  quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_order_items_order ON order_items(order_id);
+CREATE INDEX idx_order_items_product ON order_items(product_id);
+
+-- One item per existing order; paid orders were already delivered
+INSERT INTO order_items (order_id, product_id, product_name, product_type, unit_amount_cents, quantity, delivered_at, created_at)
+SELECT o.id, o.product_id, COALESCE(p.name, ''), COALESCE(p.type, ''), o.amount_cents, 1,
+       CASE WHEN o.status = 'paid' THEN o.updated_at END, o.created_at
+FROM orders o
+LEFT JOIN products p ON p.id = o.product_id;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS credit_ledger;
+ALTER TABLE products DROP COLUMN IF EXISTS session_credits;
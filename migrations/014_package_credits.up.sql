@@ -0,0 +1,26 @@
+-- ─────────────────────────────────────────
+-- Package credits: a "paket" grants session_credits sessions per purchase.
+-- credit_ledger is append-only; a client's balance is SUM(delta) per
+-- (email, product). Older package orders get no credits here — adjust
+-- them by hand in the admin where needed.
+-- ─────────────────────────────────────────
+ALTER TABLE products ADD COLUMN session_credits INTEGER NOT NULL DEFAULT 1 CHECK (session_credits > 0);
+UPDATE products SET session_credits = 4 WHERE type = 'paket' AND name = 'Hypnose Paket';
+
+CREATE TABLE credit_ledger (
+  id SERIAL PRIMARY KEY,
+  customer_email TEXT NOT NULL,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  order_item_id INTEGER REFERENCES order_items(id) ON DELETE SET NULL,
+  delta INTEGER NOT NULL CHECK (delta <> 0),
+  reason TEXT NOT NULL CHECK (reason IN ('purchase', 'booking', 'booking-cancelled', 'adjustment')),
+  cal_booking_uid TEXT,
+  note TEXT NOT NULL DEFAULT '',
+  created_by TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_credit_ledger_customer ON credit_ledger(customer_email, product_id);
+-- Webhook retries must not grant or consume twice
+CREATE UNIQUE INDEX idx_credit_ledger_purchase ON credit_ledger(order_item_id) WHERE reason = 'purchase';
+CREATE UNIQUE INDEX idx_credit_ledger_booking ON credit_ledger(cal_booking_uid, reason) WHERE cal_booking_uid IS NOT NULL;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS event_registrations;
+ALTER TABLE products
+  DROP COLUMN IF EXISTS event_capacity,
+  DROP COLUMN IF EXISTS event_starts_at,
+  DROP COLUMN IF EXISTS event_join_url;
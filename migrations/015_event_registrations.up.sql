@@ -0,0 +1,26 @@
+-- ─────────────────────────────────────────
+-- Free events: registrations with capacity and waitlist
+-- event_capacity NULL = unlimited; event_starts_at drives the reminder email,
+-- event_join_url (e.g. Zoom) goes out to confirmed participants only.
+-- The waitlist order is created_at; cancelled rows are kept for the record.
+-- ─────────────────────────────────────────
+ALTER TABLE products
+  ADD COLUMN event_capacity INTEGER CHECK (event_capacity > 0),
+  ADD COLUMN event_starts_at TIMESTAMPTZ,
+  ADD COLUMN event_join_url TEXT;
+
+CREATE TABLE event_registrations (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  name TEXT NOT NULL DEFAULT '',
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'waitlisted', 'cancelled')),
+  promoted_at TIMESTAMPTZ,
+  reminder_sent_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_event_registrations_product ON event_registrations(product_id, status, created_at);
+-- One active registration per email and event
+CREATE UNIQUE INDEX idx_event_registrations_active ON event_registrations(product_id, lower(email)) WHERE status <> 'cancelled';
@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS download_access_log;
+DROP TABLE IF EXISTS download_grants;
+ALTER TABLE products
+  DROP COLUMN IF EXISTS download_key,
+  DROP COLUMN IF EXISTS download_filename,
+  DROP COLUMN IF EXISTS download_mime_type,
+  DROP COLUMN IF EXISTS download_size_bytes;
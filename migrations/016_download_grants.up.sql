@@ -0,0 +1,40 @@
+-- ─────────────────────────────────────────
+-- Download products: private files and signed, per-order download links
+-- The file lives outside the public media folder (DOWNLOAD_DIR) and is only
+-- streamed through /api/shop/downloads/<token>. A grant belongs to one order
+-- item; reissuing revokes the old grant and creates a new one (new token).
+-- products.download_url stays as fallback for products without a file.
+-- ─────────────────────────────────────────
+ALTER TABLE products
+  ADD COLUMN download_key TEXT,
+  ADD COLUMN download_filename TEXT,
+  ADD COLUMN download_mime_type TEXT,
+  ADD COLUMN download_size_bytes BIGINT;
+
+CREATE TABLE download_grants (
+  id SERIAL PRIMARY KEY,
+  order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  customer_email TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  max_downloads INTEGER NOT NULL CHECK (max_downloads > 0),
+  download_count INTEGER NOT NULL DEFAULT 0,
+  revoked_at TIMESTAMPTZ,
+  revoked_by TEXT,
+  -- NULL = created by the checkout, else the admin username
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_download_grants_item ON download_grants(order_item_id, id DESC);
+
+CREATE TABLE download_access_log (
+  id SERIAL PRIMARY KEY,
+  grant_id INTEGER NOT NULL REFERENCES download_grants(id) ON DELETE CASCADE,
+  outcome TEXT NOT NULL CHECK (outcome IN ('ok', 'expired', 'exhausted', 'revoked', 'missing')),
+  ip_hash TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_download_access_log_grant ON download_access_log(grant_id, created_at DESC);
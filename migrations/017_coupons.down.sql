@@ -0,0 +1,5 @@
+ALTER TABLE orders
+  DROP COLUMN IF EXISTS coupon_id,
+  DROP COLUMN IF EXISTS coupon_code,
+  DROP COLUMN IF EXISTS discount_cents;
+DROP TABLE IF EXISTS coupons;
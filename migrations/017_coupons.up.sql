@@ -0,0 +1,36 @@
+-- ─────────────────────────────────────────
+-- Discount codes managed in the CMS, mirrored to a Stripe coupon (the
+-- discount) plus promotion code (what the customer types).
+-- Stripe coupons cannot change, so edits to the terms create new Stripe
+-- objects; stripe_active tracks the promotion code state, which the
+-- coupon scheduler flips at valid_from / after deactivation.
+-- product_ids empty = valid for all products.
+-- ─────────────────────────────────────────
+CREATE TABLE coupons (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  percent_off NUMERIC(5,2) CHECK (percent_off > 0 AND percent_off <= 100),
+  amount_off_cents INTEGER CHECK (amount_off_cents > 0),
+  valid_from TIMESTAMPTZ,
+  valid_until TIMESTAMPTZ,
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  times_redeemed INTEGER NOT NULL DEFAULT 0,
+  product_ids INTEGER[] NOT NULL DEFAULT '{}',
+  active BOOLEAN NOT NULL DEFAULT true,
+  stripe_coupon_id TEXT,
+  stripe_promotion_code_id TEXT,
+  stripe_active BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((percent_off IS NULL) <> (amount_off_cents IS NULL))
+);
+
+CREATE UNIQUE INDEX idx_coupons_code ON coupons(upper(code));
+CREATE INDEX idx_coupons_promotion_code ON coupons(stripe_promotion_code_id);
+
+-- Code and discount are copied, so orders stay readable after a coupon is deleted
+ALTER TABLE orders
+  ADD COLUMN coupon_id INTEGER REFERENCES coupons(id) ON DELETE SET NULL,
+  ADD COLUMN coupon_code TEXT,
+  ADD COLUMN discount_cents INTEGER NOT NULL DEFAULT 0;
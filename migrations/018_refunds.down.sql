@@ -0,0 +1,12 @@
+DROP INDEX IF EXISTS idx_credit_ledger_refund;
+DELETE FROM credit_ledger WHERE reason = 'refund';
+ALTER TABLE credit_ledger DROP CONSTRAINT credit_ledger_reason_check;
+ALTER TABLE credit_ledger ADD CONSTRAINT credit_ledger_reason_check
+  CHECK (reason IN ('purchase', 'booking', 'booking-cancelled', 'adjustment'));
+DROP TABLE IF EXISTS order_refunds;
+DROP INDEX IF EXISTS idx_orders_payment_intent;
+ALTER TABLE orders
+  DROP COLUMN IF EXISTS refunded_cents,
+  DROP COLUMN IF EXISTS disputed_at,
+  DROP COLUMN IF EXISTS dispute_reason,
+  DROP COLUMN IF EXISTS deliverables_revoked_at;
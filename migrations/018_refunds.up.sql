@@ -0,0 +1,33 @@
+-- ─────────────────────────────────────────
+-- Refunds and disputes
+-- orders.refunded_cents mirrors the charge's amount_refunded in Stripe, so
+-- refunds made in the Stripe dashboard count too. order_refunds keeps the
+-- single refunds we know of (created_by '' = seen via webhook only).
+-- Fully refunded or disputed orders lose their deliverables (download links,
+-- unused package credits); deliverables_revoked_at makes that happen once.
+-- ─────────────────────────────────────────
+ALTER TABLE orders
+  ADD COLUMN refunded_cents INTEGER NOT NULL DEFAULT 0 CHECK (refunded_cents >= 0),
+  ADD COLUMN disputed_at TIMESTAMPTZ,
+  ADD COLUMN dispute_reason TEXT,
+  ADD COLUMN deliverables_revoked_at TIMESTAMPTZ;
+
+CREATE INDEX idx_orders_payment_intent ON orders(stripe_payment_intent);
+
+CREATE TABLE order_refunds (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  stripe_refund_id TEXT UNIQUE,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  status TEXT NOT NULL DEFAULT '',
+  reason TEXT NOT NULL DEFAULT '',
+  created_by TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_order_refunds_order ON order_refunds(order_id);
+
+ALTER TABLE credit_ledger DROP CONSTRAINT credit_ledger_reason_check;
+ALTER TABLE credit_ledger ADD CONSTRAINT credit_ledger_reason_check
+  CHECK (reason IN ('purchase', 'booking', 'booking-cancelled', 'adjustment', 'refund'));
+CREATE UNIQUE INDEX idx_credit_ledger_refund ON credit_ledger(order_item_id) WHERE reason = 'refund';
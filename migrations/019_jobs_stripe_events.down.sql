@@ -0,0 +1,3 @@
+ALTER TABLE orders DROP COLUMN IF EXISTS admin_notified_at;
+DROP TABLE IF EXISTS stripe_events;
+DROP TABLE IF EXISTS jobs;
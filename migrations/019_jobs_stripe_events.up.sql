@@ -0,0 +1,38 @@
+-- ─────────────────────────────────────────
+-- Background jobs with retry/backoff (see jobs.js) and the Stripe event log
+-- Every Stripe webhook delivery is stored under its event id before it is
+-- answered; a retry by Stripe with the same id is skipped. The work itself
+-- runs as a 'stripe-event' job.
+-- ─────────────────────────────────────────
+CREATE TABLE jobs (
+  id SERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'done', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 10,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_jobs_due ON jobs(run_at) WHERE status IN ('pending', 'running');
+CREATE INDEX idx_jobs_failed ON jobs(created_at DESC) WHERE status = 'failed';
+
+CREATE TABLE stripe_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  livemode BOOLEAN NOT NULL DEFAULT false,
+  job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_stripe_events_received ON stripe_events(received_at DESC);
+
+-- The notification to Bianca goes out once per order, even if the
+-- delivery is retried
+ALTER TABLE orders ADD COLUMN admin_notified_at TIMESTAMPTZ;
+UPDATE orders SET admin_notified_at = updated_at WHERE status IN ('paid', 'refunded');
@@ -0,0 +1,17 @@
+-- ─────────────────────────────────────────
+-- Order reconciliation against Stripe (shop/reconcile.js)
+-- One row per run; report holds one entry per order that needed a look:
+-- { order_id, session_id, issue, action, error? }
+-- ─────────────────────────────────────────
+CREATE TABLE reconciliation_runs (
+  id SERIAL PRIMARY KEY,
+  triggered_by TEXT NOT NULL DEFAULT 'schedule',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  checked INTEGER NOT NULL DEFAULT 0,
+  fixed INTEGER NOT NULL DEFAULT 0,
+  report JSONB NOT NULL DEFAULT '[]',
+  error TEXT
+);
+
+CREATE INDEX idx_reconciliation_runs_started ON reconciliation_runs(started_at DESC);
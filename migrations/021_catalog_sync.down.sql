@@ -0,0 +1,4 @@
+ALTER TABLE products
+  DROP COLUMN IF EXISTS stripe_price_cents,
+  DROP COLUMN IF EXISTS stripe_synced_at,
+  DROP COLUMN IF EXISTS stripe_sync_error;
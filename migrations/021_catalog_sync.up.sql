@@ -0,0 +1,12 @@
+-- ─────────────────────────────────────────
+-- Catalog sync with Stripe (shop/catalog.js)
+-- stripe_price_cents: amount of the price behind stripe_price_id, so a
+-- changed price gets a new Stripe price even if the sync on save failed.
+-- ─────────────────────────────────────────
+ALTER TABLE products
+  ADD COLUMN stripe_price_cents INTEGER,
+  ADD COLUMN stripe_synced_at TIMESTAMPTZ,
+  ADD COLUMN stripe_sync_error TEXT;
+
+-- Until now a price change cleared stripe_price_id, so every stored price is current
+UPDATE products SET stripe_price_cents = price_cents WHERE stripe_price_id IS NOT NULL;
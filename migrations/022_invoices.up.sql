@@ -0,0 +1,36 @@
+-- ─────────────────────────────────────────
+-- Invoices (shop/invoices.js)
+-- Numbers come from invoice_counters inside the transaction that inserts
+-- the invoice, so a failed insert never leaves a gap (a sequence would).
+-- seller / customer / lines are snapshots: an invoice never changes after
+-- it was issued. kind 'cancellation' = Stornorechnung (negative amounts)
+-- for a refund, pointing at the invoice it corrects.
+-- ─────────────────────────────────────────
+CREATE TABLE invoice_counters (
+  year INTEGER PRIMARY KEY,
+  last_number INTEGER NOT NULL
+);
+
+CREATE TABLE invoices (
+  id SERIAL PRIMARY KEY,
+  number TEXT NOT NULL UNIQUE,
+  kind TEXT NOT NULL DEFAULT 'invoice' CHECK (kind IN ('invoice', 'cancellation')),
+  order_id INTEGER NOT NULL REFERENCES orders(id),
+  cancels_invoice_id INTEGER REFERENCES invoices(id),
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  service_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  seller JSONB NOT NULL,
+  customer JSONB NOT NULL,
+  lines JSONB NOT NULL,
+  gross_cents INTEGER NOT NULL,
+  net_cents INTEGER NOT NULL,
+  vat_cents INTEGER NOT NULL,
+  vat_rate NUMERIC(5,2) NOT NULL DEFAULT 0,
+  small_business BOOLEAN NOT NULL,
+  pdf_key TEXT,
+  emailed_at TIMESTAMPTZ,
+  created_by TEXT NOT NULL DEFAULT ''
+);
+
+CREATE UNIQUE INDEX idx_invoices_order_invoice ON invoices(order_id) WHERE kind = 'invoice';
+CREATE INDEX idx_invoices_order ON invoices(order_id);
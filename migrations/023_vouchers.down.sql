@@ -0,0 +1,15 @@
+ALTER TABLE invoices
+  DROP COLUMN IF EXISTS voucher_code,
+  DROP COLUMN IF EXISTS voucher_cents;
+ALTER TABLE orders
+  DROP COLUMN IF EXISTS voucher_id,
+  DROP COLUMN IF EXISTS voucher_cents,
+  DROP COLUMN IF EXISTS voucher_stripe_coupon_id;
+DROP TABLE IF EXISTS voucher_ledger;
+DROP TABLE IF EXISTS vouchers;
+ALTER TABLE order_items DROP COLUMN IF EXISTS details;
+ALTER TABLE products DROP COLUMN IF EXISTS voucher_free_amount;
+DELETE FROM products WHERE type = 'gutschein';
+ALTER TABLE products DROP CONSTRAINT products_type_check;
+ALTER TABLE products ADD CONSTRAINT products_type_check
+  CHECK (type IN ('sitzung', 'paket', 'event', 'download'));
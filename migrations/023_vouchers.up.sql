@@ -0,0 +1,63 @@
+-- ─────────────────────────────────────────
+-- Gift vouchers (shop/vouchers.js)
+-- A "gutschein" product sells vouchers: a fixed price, or with
+-- voucher_free_amount the buyer picks the amount. order_items.details holds
+-- what the buyer entered (recipient, message, send date) until payment.
+-- voucher_ledger is append-only; a voucher's balance is SUM(delta_cents).
+-- Redeeming at checkout books the amount when the order is created and
+-- gives it back when the session expires or the order is fully refunded.
+-- ─────────────────────────────────────────
+ALTER TABLE products DROP CONSTRAINT products_type_check;
+ALTER TABLE products ADD CONSTRAINT products_type_check
+  CHECK (type IN ('sitzung', 'paket', 'event', 'download', 'gutschein'));
+ALTER TABLE products ADD COLUMN voucher_free_amount BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE order_items ADD COLUMN details JSONB;
+
+CREATE TABLE vouchers (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  order_item_id INTEGER REFERENCES order_items(id) ON DELETE SET NULL,
+  -- 1..quantity within the order item, so a webhook retry issues nothing twice
+  item_seq INTEGER NOT NULL DEFAULT 1,
+  initial_cents INTEGER NOT NULL CHECK (initial_cents > 0),
+  purchaser_name TEXT NOT NULL DEFAULT '',
+  purchaser_email TEXT NOT NULL DEFAULT '',
+  recipient_name TEXT NOT NULL DEFAULT '',
+  recipient_email TEXT NOT NULL DEFAULT '',
+  message TEXT NOT NULL DEFAULT '',
+  send_at TIMESTAMPTZ,
+  sent_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_vouchers_order_item ON vouchers(order_item_id, item_seq);
+CREATE INDEX idx_vouchers_unsent ON vouchers(send_at) WHERE sent_at IS NULL AND recipient_email <> '';
+
+CREATE TABLE voucher_ledger (
+  id SERIAL PRIMARY KEY,
+  voucher_id INTEGER NOT NULL REFERENCES vouchers(id) ON DELETE CASCADE,
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  delta_cents INTEGER NOT NULL CHECK (delta_cents <> 0),
+  reason TEXT NOT NULL CHECK (reason IN ('purchase', 'redemption', 'release', 'refund', 'adjustment', 'revoke')),
+  note TEXT NOT NULL DEFAULT '',
+  created_by TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_voucher_ledger_voucher ON voucher_ledger(voucher_id);
+-- One voucher per order; expiry webhooks and refunds must not book twice
+CREATE UNIQUE INDEX idx_voucher_ledger_order ON voucher_ledger(order_id, reason)
+  WHERE order_id IS NOT NULL AND reason IN ('redemption', 'release', 'refund');
+
+ALTER TABLE orders
+  ADD COLUMN voucher_id INTEGER REFERENCES vouchers(id) ON DELETE SET NULL,
+  ADD COLUMN voucher_cents INTEGER NOT NULL DEFAULT 0 CHECK (voucher_cents >= 0),
+  ADD COLUMN voucher_stripe_coupon_id TEXT;
+
+-- Invoices: the part paid with a voucher is a payment, not a discount
+ALTER TABLE invoices
+  ADD COLUMN voucher_code TEXT,
+  ADD COLUMN voucher_cents INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1 @@
+ALTER TABLE download_access_log DROP COLUMN IF EXISTS counted;
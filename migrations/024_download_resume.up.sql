@@ -0,0 +1,7 @@
+-- ─────────────────────────────────────────
+-- Download resumes (shop/downloads.js): only a counted download opens a
+-- short window in which the same IP may continue it for free. counted tells
+-- those apart from the free continuations (and HEAD checks) after it.
+-- ─────────────────────────────────────────
+ALTER TABLE download_access_log
+  ADD COLUMN counted BOOLEAN NOT NULL DEFAULT TRUE;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_event_registrations_email_created;
+DROP INDEX IF EXISTS idx_event_registrations_ip_created;
+ALTER TABLE event_registrations DROP COLUMN IF EXISTS ip_hash;
@@ -0,0 +1,9 @@
+-- ─────────────────────────────────────────
+-- Throttling of the public event registration (messages/spam.js), like
+-- the contact form: ip_hash is an HMAC of the IP, the IP itself is not stored
+-- ─────────────────────────────────────────
+ALTER TABLE event_registrations
+  ADD COLUMN ip_hash TEXT;
+
+CREATE INDEX idx_event_registrations_ip_created ON event_registrations(ip_hash, created_at DESC);
+CREATE INDEX idx_event_registrations_email_created ON event_registrations(lower(email), created_at DESC);
@@ -0,0 +1,4 @@
+ALTER TABLE event_registrations
+  DROP CONSTRAINT event_registrations_product_id_fkey,
+  ADD CONSTRAINT event_registrations_product_id_fkey
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE;
@@ -0,0 +1,8 @@
+-- ─────────────────────────────────────────
+-- An event with registrations can no longer be deleted (it would take the
+-- attendee list with it, without telling anyone): deactivate it instead
+-- ─────────────────────────────────────────
+ALTER TABLE event_registrations
+  DROP CONSTRAINT event_registrations_product_id_fkey,
+  ADD CONSTRAINT event_registrations_product_id_fkey
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_stripe_events_session;
+ALTER TABLE stripe_events DROP COLUMN IF EXISTS session_id;
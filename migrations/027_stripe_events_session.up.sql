@@ -0,0 +1,10 @@
+-- ─────────────────────────────────────────
+-- Checkout session id of an event in its own column, so reconciliation
+-- can find open jobs per order without reading every payload
+-- ─────────────────────────────────────────
+ALTER TABLE stripe_events ADD COLUMN session_id TEXT;
+
+UPDATE stripe_events SET session_id = payload->'data'->'object'->>'id'
+WHERE type LIKE 'checkout.session.%';
+
+CREATE INDEX idx_stripe_events_session ON stripe_events(session_id) WHERE session_id IS NOT NULL;
@@ -0,0 +1,6 @@
+-- ─────────────────────────────────────────
+-- Last reconciliation check that left an order as it was (shop/reconcile.js).
+-- Such orders wait RECONCILE_RECHECK_HOURS before the next look, so they
+-- cannot crowd newer ones out of a run.
+-- ─────────────────────────────────────────
+ALTER TABLE orders ADD COLUMN reconciled_at TIMESTAMPTZ;
@@ -1,10 +1,33 @@
 const path = require('path');
-const fs = require('fs');
 const express = require('express');
+const multer = require('multer');
 const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 const bcrypt = require('bcryptjs');
 const pool = require('./db');
+const migrate = require('./migrate');
+const { slugify, uniquePostSlug } = require('./content/slug');
+const { startScheduler } = require('./content/scheduler');
+const { CONTENT_FIELDS, savePostRevision, diffRevisions } = require('./content/revisions');
+const { renderMarkdown, withRenderedBody, withReadingTime } = require('./content/markdown');
+const { SITE_TITLE, buildRss, buildAtom, buildSitemap, latestUpdate } = require('./content/feeds');
+const { BASE_URL, postUrl, pageUrl, productUrl } = require('./content/urls');
+const { normalizePageInput, resolvePagePath, refreshChildPaths, buildPageTree } = require('./content/pages');
+const { createPreviewToken, serializePreviewToken, resolvePreviewToken } = require('./content/preview');
+const { hashIp, lengthError, isRateLimited, scoreMessage } = require('./messages/spam');
+const { ensureReplyToken, replyAddress, extractReplyToken, parseInboundPayload, stripQuotedReply, checkWebhookSecret, loadThread } = require('./messages/threads');
+const { router: mediaRouter, attachMedia } = require('./media');
+const { storage: mediaStorage } = require('./media/storage');
+const { cancelRegistration, fillFromWaitlist, startEventReminders } = require('./shop/events');
+const { storeProductFile, removeProductFile, revokeGrants, reissueGrant, downloadUrl } = require('./shop/downloads');
+const { normalizeCouponInput, createCoupon, updateCoupon, deleteCoupon, startCouponScheduler } = require('./shop/coupons');
+const { refundOrder } = require('./shop/refunds');
+const { ensureInvoice, invoicePdf, invoiceAttachment, markInvoiceEmailed, loadInvoice } = require('./shop/invoices');
+const { syncProduct, catalogDiff, syncCatalog, archiveStripeProduct } = require('./shop/catalog');
+const { reprocessStripeEvent } = require('./shop/webhooks');
+const { reconcileOrders, startReconciliation } = require('./shop/reconcile');
+const { adjustVoucher, revokeVoucher, voucherAttachment, sendVoucherEmail, startVoucherScheduler } = require('./shop/vouchers');
+const { startJobWorker } = require('./jobs');
 
 require('dotenv').config();
 
@@ -61,6 +84,8 @@ app.use(session({
 }));
 
 app.use('/admin', express.static(path.join(__dirname, 'public/admin')));
+// Media keys contain a content hash, so files never change under the same URL
+app.use('/media', express.static(mediaStorage.root, { maxAge: '365d', immutable: true }));
 
 // Helpers
 function requireAuth(req, res, next) {
@@ -74,11 +99,53 @@ function normalizePostInput(body) {
   const post_date = String(body.post_date || '').trim();
   const content = String(body.body || '').trim();
   let status = String(body.status || 'draft').trim().toLowerCase();
+  const slug = slugify(body.slug);
+  const seo_title = String(body.seo_title || '').trim();
+  const meta_description = String(body.meta_description || '').trim();
+  const excerpt = String(body.excerpt || '').trim();
+  const cover_image = String(body.cover_image || '').trim() || null;
+  let publish_at = null;
   if (!title) throw new Error('Titel fehlt');
   if (!post_date) throw new Error('Datum fehlt');
   if (!content) throw new Error('Text fehlt');
-  if (!['draft', 'published'].includes(status)) status = 'draft';
-  return { title, category, post_date, body: content, status };
+  if (String(body.slug || '').trim() && !slug) throw new Error('Ungültiger Slug');
+  if (meta_description.length > 320) throw new Error('Meta-Beschreibung zu lang (max. 320 Zeichen)');
+  if (!['draft', 'scheduled', 'published'].includes(status)) status = 'draft';
+  if (status === 'scheduled') {
+    publish_at = new Date(String(body.publish_at || ''));
+    if (Number.isNaN(publish_at.getTime())) throw new Error('Veröffentlichungszeitpunkt fehlt');
+    // Already due: publish right away instead of waiting for the scheduler
+    if (publish_at <= new Date()) { status = 'published'; publish_at = null; }
+  }
+  return { title, category, post_date, body: content, status, slug, seo_title, meta_description, excerpt, cover_image, publish_at };
+}
+
+// Explicit slugs must be free; generated ones get a numeric suffix
+async function resolvePostSlug(db, data, id = null) {
+  if (data.slug) {
+    const taken = await db.query('SELECT 1 FROM posts WHERE slug = $1 AND id IS DISTINCT FROM $2 LIMIT 1', [data.slug, id]);
+    if (taken.rows.length > 0) throw new Error('Slug bereits vergeben');
+    return data.slug;
+  }
+  return uniquePostSlug(db, slugify(data.title) || 'beitrag', id);
+}
+
+const PUBLIC_POST_COLUMNS = 'id, slug, title, category, post_date, body, excerpt, seo_title, meta_description, cover_image, created_at, updated_at';
+// Scheduled posts count as live from publish_at on, even before the scheduler flips them
+const PUBLIC_POST_VISIBLE = `(status = 'published' OR (status = 'scheduled' AND publish_at <= NOW()))`;
+// body only for reading_time (see withReadingTime), it is not sent
+const PUBLIC_POST_SUMMARY_COLUMNS = 'id, slug, title, category, post_date, body, excerpt, seo_title, meta_description, cover_image, created_at, updated_at';
+
+// ts_headline marks hits with these; the text around them is escaped before
+// they become <mark> tags, so raw HTML in a body never reaches the snippet
+const SNIPPET_START = '\u0002';
+const SNIPPET_STOP = '\u0003';
+
+function markSnippet(raw) {
+  return String(raw || '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .split(SNIPPET_START).join('<mark>')
+    .split(SNIPPET_STOP).join('</mark>');
 }
 
 // Health
@@ -91,12 +158,11 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// DB Init
-app.post('/api/init-db', requireAuth, async (req, res) => {
+// DB Migrations (applied via `npm run migrate`)
+app.get('/api/migrations', requireAuth, async (req, res) => {
   try {
-    const sql = fs.readFileSync(path.join(__dirname, 'schema.sql'), 'utf8');
-    await pool.query(sql);
-    res.json({ ok: true, message: 'DB initialized' });
+    const items = await migrate.status();
+    res.json({ ok: true, items });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
@@ -140,23 +206,202 @@ app.get('/api/me', (req, res) => {
 });
 
 // PUBLIC — Posts
+// ?page=1&per_page=20&category=Wissen&year=2025&q=angst&include_body=false
 app.get('/api/public/posts', async (req, res) => {
   try {
-    const result = await pool.query(`SELECT id, title, category, post_date, body, created_at, updated_at FROM posts WHERE status = 'published' ORDER BY post_date DESC, id DESC`);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const perPage = Math.min(100, Math.max(1, parseInt(req.query.per_page) || 20));
+    const includeBody = req.query.include_body !== 'false';
+    const category = String(req.query.category || '').trim();
+    const year = String(req.query.year || '').trim();
+    const q = String(req.query.q || '').trim().slice(0, 200);
+
+    const where = [PUBLIC_POST_VISIBLE];
+    const params = [];
+    if (category) {
+      params.push(category);
+      where.push(`lower(category) = lower($${params.length})`);
+    }
+    if (year) {
+      if (!/^\d{4}$/.test(year)) return res.status(400).json({ ok: false, error: 'Ungültiges Jahr' });
+      params.push(Number(year));
+      where.push(`EXTRACT(YEAR FROM post_date) = $${params.length}`);
+    }
+    let searchSelect = '';
+    let order = 'post_date DESC, id DESC';
+    if (q) {
+      params.push(q);
+      const query = `websearch_to_tsquery('german', $${params.length})`;
+      where.push(`search_vector @@ ${query}`);
+      searchSelect = `, ts_rank(search_vector, ${query}) AS rank,
+        ts_headline('german', body, ${query}, 'StartSel=${SNIPPET_START}, StopSel=${SNIPPET_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "') AS snippet`;
+      order = `rank DESC, ${order}`;
+    }
+    const whereSql = where.join(' AND ');
+
+    const total = await pool.query(`SELECT COUNT(*) FROM posts WHERE ${whereSql}`, params);
+    const result = await pool.query(
+      `SELECT ${includeBody ? PUBLIC_POST_COLUMNS : PUBLIC_POST_SUMMARY_COLUMNS}${searchSelect}
+       FROM posts WHERE ${whereSql}
+       ORDER BY ${order}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, perPage, (page - 1) * perPage]
+    );
+
+    const items = result.rows.map((row) => {
+      const item = includeBody ? withRenderedBody(row) : withReadingTime(row);
+      if (q) item.snippet = markSnippet(row.snippet);
+      return item;
+    });
+    const count = parseInt(total.rows[0].count);
+    return res.json({ ok: true, items, page, per_page: perPage, total: count, pages: Math.ceil(count / perPage) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/api/public/posts/categories', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT category, COUNT(*)::int AS count FROM posts
+       WHERE ${PUBLIC_POST_VISIBLE} AND category <> ''
+       GROUP BY category ORDER BY count DESC, category ASC`
+    );
     return res.json({ ok: true, items: result.rows });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
+app.get('/api/public/posts/by-slug/:slug', async (req, res) => {
+  try {
+    const slug = String(req.params.slug || '').toLowerCase();
+    const result = await pool.query(`SELECT ${PUBLIC_POST_COLUMNS} FROM posts WHERE slug = $1 AND ${PUBLIC_POST_VISIBLE} LIMIT 1`, [slug]);
+    if (result.rows.length > 0) return res.json({ ok: true, item: withRenderedBody(result.rows[0]) });
+    // Old slug after a rename → permanent redirect to the current one
+    const moved = await pool.query(
+      `SELECT p.slug FROM post_slug_redirects r JOIN posts p ON p.id = r.post_id WHERE r.slug = $1 AND ${PUBLIC_POST_VISIBLE} LIMIT 1`,
+      [slug]
+    );
+    if (moved.rows.length > 0) return res.redirect(301, `/api/public/posts/by-slug/${encodeURIComponent(moved.rows[0].slug)}`);
+    return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Draft preview via shared link: ?token=<signed token>
+app.get('/api/public/posts/preview', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    const preview = await resolvePreviewToken(pool, req.query.token);
+    if (!preview) return res.status(403).json({ ok: false, error: 'Vorschau-Link ungültig oder abgelaufen' });
+    const result = await pool.query(`SELECT ${PUBLIC_POST_COLUMNS}, status FROM posts WHERE id = $1 LIMIT 1`, [preview.post_id]);
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true, preview: true, expires_at: preview.expires_at, item: withRenderedBody(result.rows[0]) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
 app.get('/api/public/posts/:id', async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
-    const result = await pool.query(`SELECT id, title, category, post_date, body, created_at, updated_at FROM posts WHERE id = $1 AND status = 'published' LIMIT 1`, [id]);
+    const result = await pool.query(`SELECT ${PUBLIC_POST_COLUMNS} FROM posts WHERE id = $1 AND ${PUBLIC_POST_VISIBLE} LIMIT 1`, [id]);
     if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
-    return res.json({ ok: true, item: result.rows[0] });
+    return res.json({ ok: true, item: withRenderedBody(result.rows[0]) });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
+// PUBLIC — Seiten
+app.get('/api/public/pages', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, parent_id, slug, path, title, sort_order FROM pages
+       WHERE status = 'published' AND show_in_nav = true
+       ORDER BY sort_order ASC, title ASC`
+    );
+    return res.json({ ok: true, items: buildPageTree(result.rows) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Hierarchical: /api/public/pages/ueber-mich/ausbildung
+app.get('/api/public/pages/*', async (req, res) => {
+  try {
+    const path = String(req.params[0] || '').toLowerCase().replace(/^\/+|\/+$/g, '');
+    const result = await pool.query(
+      `SELECT id, parent_id, slug, path, title, body, seo_title, meta_description, created_at, updated_at
+       FROM pages WHERE path = $1 AND status = 'published' LIMIT 1`,
+      [path]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true, item: withRenderedBody(result.rows[0]) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// PUBLIC — Feeds & Sitemap
+const FEED_LIMIT = 50;
+const FEED_CACHE_SECONDS = 15 * 60;
+
+// Express answers 304 itself when ETag or Last-Modified still match
+function sendXml(res, type, xml, lastModified) {
+  res.set('Cache-Control', `public, max-age=${FEED_CACHE_SECONDS}`);
+  if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+  return res.type(type).send(xml);
+}
+
+async function feedPosts(category) {
+  const params = [FEED_LIMIT];
+  let filter = '';
+  if (category) {
+    params.push(category);
+    filter = 'AND category = $2';
+  }
+  const result = await pool.query(
+    `SELECT ${PUBLIC_POST_COLUMNS}, publish_at FROM posts
+     WHERE ${PUBLIC_POST_VISIBLE} ${filter}
+     ORDER BY post_date DESC, id DESC LIMIT $1`,
+    params
+  );
+  return result.rows.map(withRenderedBody);
+}
+
+async function sendFeed(req, res, category) {
+  const format = req.params.format;
+  const posts = await feedPosts(category);
+  const selfUrl = `${BASE_URL}${req.originalUrl.split('?')[0]}`;
+  const title = category ? `${SITE_TITLE} – ${category}` : SITE_TITLE;
+  const xml = format === 'atom' ? buildAtom({ title, selfUrl, posts }) : buildRss({ title, selfUrl, posts });
+  const type = format === 'atom' ? 'application/atom+xml' : 'application/rss+xml';
+  return sendXml(res, type, xml, latestUpdate(posts));
+}
+
+app.get('/feeds/:format(rss|atom).xml', async (req, res) => {
+  try {
+    return await sendFeed(req, res, null);
+  } catch (e) { return res.status(500).type('text/plain').send(e.message); }
+});
+
+// Category by slug: /feeds/wissen/rss.xml
+app.get('/feeds/:category/:format(rss|atom).xml', async (req, res) => {
+  try {
+    const categories = await pool.query(`SELECT DISTINCT category FROM posts WHERE ${PUBLIC_POST_VISIBLE} AND category <> ''`);
+    const match = categories.rows.find(r => slugify(r.category) === req.params.category);
+    if (!match) return res.status(404).type('text/plain').send('Kategorie nicht gefunden');
+    return await sendFeed(req, res, match.category);
+  } catch (e) { return res.status(500).type('text/plain').send(e.message); }
+});
+
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    const posts = await pool.query(`SELECT slug, updated_at FROM posts WHERE ${PUBLIC_POST_VISIBLE} ORDER BY post_date DESC, id DESC`);
+    const pages = await pool.query(`SELECT path, updated_at FROM pages WHERE status = 'published' ORDER BY path ASC`);
+    const products = await pool.query('SELECT id, name, updated_at FROM products WHERE active = true ORDER BY sort_order ASC, id ASC');
+    const entries = [
+      { loc: `${BASE_URL}/` },
+      ...pages.rows.map(p => ({ loc: pageUrl(p.path), lastmod: p.updated_at })),
+      ...posts.rows.map(p => ({ loc: postUrl(p.slug), lastmod: p.updated_at })),
+      ...products.rows.map(p => ({ loc: productUrl(p), lastmod: p.updated_at }))
+    ];
+    const lastModified = latestUpdate([...pages.rows, ...posts.rows, ...products.rows]);
+    return sendXml(res, 'application/xml', buildSitemap(entries), lastModified);
+  } catch (e) { return res.status(500).type('text/plain').send(e.message); }
+});
+
 // PUBLIC — Contact
 app.post('/api/public/contact', async (req, res) => {
   try {
@@ -165,16 +410,75 @@ app.post('/api/public/contact', async (req, res) => {
     const subject = String(req.body.subject || '').trim();
     const body = String(req.body.body || req.body.message || '').trim();
     if (!name || !email || !body) return res.status(400).json({ ok: false, error: 'Name, E-Mail und Nachricht sind Pflichtfelder' });
+    const tooLong = lengthError({ name, email, subject, body });
+    if (tooLong) return res.status(400).json({ ok: false, error: tooLong });
     if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ ok: false, error: 'Ungültige E-Mail-Adresse' });
-    await pool.query('INSERT INTO messages (name, email, subject, body) VALUES ($1, $2, $3, $4)', [name, email, subject, body]);
+    const ipHash = hashIp(req.ip);
+    if (await isRateLimited(pool, { ipHash, email })) {
+      return res.status(429).json({ ok: false, error: 'Zu viele Nachrichten. Bitte versuche es später noch einmal.' });
+    }
+    // Suspicious messages are kept in the Spam folder; the sender sees the normal success response
+    const verdict = scoreMessage(req.body, { name, subject, body });
+    const result = await pool.query(
+      `INSERT INTO messages (name, email, subject, body, spam, spam_score, spam_reasons, ip_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      [name, email, subject, body, verdict.spam, verdict.score, verdict.reasons, ipHash]
+    );
+    const id = result.rows[0].id;
+    if (verdict.spam) {
+      console.log(`[CONTACT] Filed as spam (score ${verdict.score}: ${verdict.reasons.join(', ')})`);
+    } else {
+      // Emails go out in the background; a failing mail must not fail the form
+      const replyTo = replyAddress(await ensureReplyToken(pool, id));
+      const { sendContactAcknowledgement, sendContactAlert } = require('./shop/delivery');
+      Promise.allSettled([
+        sendContactAcknowledgement({ to: email, name, subject, replyTo }),
+        sendContactAlert({ id, name, email, subject, body })
+      ]).then(results => results.forEach(r => {
+        if (r.status === 'rejected') console.error(`[CONTACT] Email for message ${id} failed:`, r.reason.message);
+      }));
+    }
     return res.json({ ok: true, message: 'Nachricht gesendet' });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
+// PUBLIC — Inbound email webhook (answers to our replies, matched by the
+// reply token in the Reply-To address). Secret via X-Inbound-Secret or ?secret=
+app.post('/api/public/inbound-email', async (req, res) => {
+  try {
+    if (!checkWebhookSecret(req.get('x-inbound-secret') || req.query.secret)) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    const mail = parseInboundPayload(req.body);
+    const token = extractReplyToken(mail.to);
+    const msg = token
+      ? await pool.query('SELECT id FROM messages WHERE reply_token = $1 LIMIT 1', [token])
+      : { rows: [] };
+    // 200 even without a match, so the provider does not keep retrying
+    if (msg.rows.length === 0) {
+      console.warn(`[INBOUND] No thread for mail from ${mail.from || 'unknown'}`);
+      return res.json({ ok: true, matched: false });
+    }
+    const body = stripQuotedReply(mail.text);
+    if (!body) return res.status(400).json({ ok: false, error: 'Leere Nachricht' });
+
+    const messageId = msg.rows[0].id;
+    const result = await pool.query(
+      `INSERT INTO message_replies (message_id, direction, from_email, to_email, subject, body, provider_id)
+       VALUES ($1, 'in', $2, $3, $4, $5, $6) RETURNING id`,
+      [messageId, mail.from, mail.to.join(', '), mail.subject, body, mail.providerId]
+    );
+    // Back into the inbox as unread
+    await pool.query('UPDATE messages SET read = false, archived = false WHERE id = $1', [messageId]);
+    console.log(`[INBOUND] Reply from ${mail.from} added to message ${messageId}`);
+    return res.json({ ok: true, matched: true, replyId: result.rows[0].id });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
 // ADMIN — Posts
 app.get('/api/posts', requireAuth, async (req, res) => {
   try {
-    const result = await pool.query(`SELECT id, title, category, post_date, body, status, created_at, updated_at FROM posts ORDER BY post_date DESC, id DESC`);
+    const result = await pool.query(`SELECT id, slug, title, category, post_date, body, status, publish_at, created_at, updated_at FROM posts ORDER BY post_date DESC, id DESC`);
     return res.json({ ok: true, items: result.rows });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
@@ -189,10 +493,24 @@ app.get('/api/posts/:id', requireAuth, async (req, res) => {
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
+// Live preview for the editor — same renderer and sanitizer as the public API
+app.post('/api/posts/preview', requireAuth, (req, res) => {
+  try {
+    return res.json({ ok: true, ...renderMarkdown(req.body.body) });
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
 app.post('/api/posts', requireAuth, async (req, res) => {
   try {
     const data = normalizePostInput(req.body);
-    const result = await pool.query(`INSERT INTO posts (title, category, post_date, body, status) VALUES ($1, $2, $3, $4, $5) RETURNING *`, [data.title, data.category, data.post_date, data.body, data.status]);
+    const slug = await resolvePostSlug(pool, data);
+    const result = await pool.query(
+      `INSERT INTO posts (title, category, post_date, body, status, slug, seo_title, meta_description, excerpt, cover_image, publish_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+      [data.title, data.category, data.post_date, data.body, data.status, slug, data.seo_title, data.meta_description, data.excerpt, data.cover_image, data.publish_at]
+    );
+    await pool.query('DELETE FROM post_slug_redirects WHERE slug = $1', [slug]);
+    await savePostRevision(pool, result.rows[0], req.session.user.username);
     return res.json({ ok: true, item: result.rows[0] });
   } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
 });
@@ -202,12 +520,144 @@ app.put('/api/posts/:id', requireAuth, async (req, res) => {
     const id = Number(req.params.id);
     if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
     const data = normalizePostInput(req.body);
-    const result = await pool.query(`UPDATE posts SET title=$1, category=$2, post_date=$3, body=$4, status=$5, updated_at=NOW() WHERE id=$6 RETURNING *`, [data.title, data.category, data.post_date, data.body, data.status, id]);
-    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const current = await client.query('SELECT slug FROM posts WHERE id = $1 FOR UPDATE', [id]);
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+      }
+      const oldSlug = current.rows[0].slug;
+      const slug = await resolvePostSlug(client, data, id);
+      const result = await client.query(
+        `UPDATE posts SET title=$1, category=$2, post_date=$3, body=$4, status=$5,
+           slug=$6, seo_title=$7, meta_description=$8, excerpt=$9, cover_image=$10, publish_at=$11, updated_at=NOW()
+         WHERE id=$12 RETURNING *`,
+        [data.title, data.category, data.post_date, data.body, data.status, slug, data.seo_title, data.meta_description, data.excerpt, data.cover_image, data.publish_at, id]
+      );
+      if (slug !== oldSlug) {
+        await client.query('DELETE FROM post_slug_redirects WHERE slug = $1', [slug]);
+        await client.query(
+          `INSERT INTO post_slug_redirects (slug, post_id) VALUES ($1, $2)
+           ON CONFLICT (slug) DO UPDATE SET post_id = EXCLUDED.post_id, created_at = NOW()`,
+          [oldSlug, id]
+        );
+      }
+      await savePostRevision(client, result.rows[0], req.session.user.username);
+      await client.query('COMMIT');
+      return res.json({ ok: true, item: result.rows[0] });
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
+// ADMIN — Post-Revisionen
+app.get('/api/posts/:id/revisions', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
+    const result = await pool.query(
+      `SELECT id, post_id, author, title, status, length(body) AS body_length, created_at
+       FROM post_revisions WHERE post_id = $1 ORDER BY created_at DESC, id DESC`,
+      [id]
+    );
+    return res.json({ ok: true, items: result.rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// ?from=<revId>&to=<revId|current>
+app.get('/api/posts/:id/revisions/diff', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const fromId = Number(req.query.from);
+    if (!Number.isInteger(id) || id <= 0 || !Number.isInteger(fromId)) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
+    const from = await pool.query('SELECT * FROM post_revisions WHERE id = $1 AND post_id = $2', [fromId, id]);
+    const to = req.query.to === 'current' || !req.query.to
+      ? await pool.query('SELECT * FROM posts WHERE id = $1', [id])
+      : await pool.query('SELECT * FROM post_revisions WHERE id = $1 AND post_id = $2', [Number(req.query.to), id]);
+    if (from.rows.length === 0 || to.rows.length === 0) return res.status(404).json({ ok: false, error: 'Revision nicht gefunden' });
+    return res.json({ ok: true, changes: diffRevisions(from.rows[0], to.rows[0]) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/api/posts/:id/revisions/:revId', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM post_revisions WHERE id = $1 AND post_id = $2', [Number(req.params.revId), Number(req.params.id)]);
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Revision nicht gefunden' });
+    return res.json({ ok: true, item: result.rows[0] });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Puts the revision's content back; slug and status stay as they are.
+// The restore itself is saved as a new revision, so it can be undone too.
+app.post('/api/posts/:id/revisions/:revId/restore', requireAuth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const rev = await client.query('SELECT * FROM post_revisions WHERE id = $1 AND post_id = $2', [Number(req.params.revId), Number(req.params.id)]);
+    if (rev.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok: false, error: 'Revision nicht gefunden' });
+    }
+    const r = rev.rows[0];
+    const result = await client.query(
+      `UPDATE posts SET ${CONTENT_FIELDS.map((f, i) => `${f}=$${i + 1}`).join(', ')}, updated_at=NOW()
+       WHERE id=$${CONTENT_FIELDS.length + 1} RETURNING *`,
+      [...CONTENT_FIELDS.map(f => r[f]), r.post_id]
+    );
+    await savePostRevision(client, result.rows[0], req.session.user.username);
+    await client.query('COMMIT');
     return res.json({ ok: true, item: result.rows[0] });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    return res.status(500).json({ ok: false, error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ADMIN — Vorschau-Links
+app.get('/api/posts/:id/previews', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
+    const result = await pool.query(
+      `SELECT * FROM post_preview_tokens
+       WHERE post_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [id]
+    );
+    return res.json({ ok: true, items: result.rows.map(serializePreviewToken) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.post('/api/posts/:id/previews', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
+    const post = await pool.query('SELECT id FROM posts WHERE id = $1', [id]);
+    if (post.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    const item = await createPreviewToken(pool, id, req.body.hours, req.session.user.username);
+    return res.json({ ok: true, item });
   } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
 });
 
+app.delete('/api/posts/:id/previews/:tokenId', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE post_preview_tokens SET revoked_at = NOW() WHERE id = $1 AND post_id = $2 AND revoked_at IS NULL RETURNING id',
+      [Number(req.params.tokenId), Number(req.params.id)]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
 app.delete('/api/posts/:id', requireAuth, async (req, res) => {
   try {
     const id = Number(req.params.id);
@@ -218,13 +668,194 @@ app.delete('/api/posts/:id', requireAuth, async (req, res) => {
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
+// ADMIN — Seiten
+app.get('/api/pages', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, parent_id, slug, path, title, status, sort_order, show_in_nav, created_at, updated_at
+       FROM pages ORDER BY sort_order ASC, title ASC`
+    );
+    return res.json({ ok: true, items: buildPageTree(result.rows) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/api/pages/:id', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
+    const result = await pool.query('SELECT * FROM pages WHERE id = $1 LIMIT 1', [id]);
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true, item: result.rows[0] });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.post('/api/pages', requireAuth, async (req, res) => {
+  try {
+    const data = normalizePageInput(req.body);
+    const path = await resolvePagePath(pool, data);
+    const result = await pool.query(
+      `INSERT INTO pages (parent_id, slug, path, title, body, status, sort_order, show_in_nav, seo_title, meta_description)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [data.parent_id, data.slug, path, data.title, data.body, data.status, data.sort_order, data.show_in_nav, data.seo_title, data.meta_description]
+    );
+    return res.json({ ok: true, item: result.rows[0] });
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
+app.put('/api/pages/:id', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
+    const data = normalizePageInput(req.body);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const path = await resolvePagePath(client, data, id);
+      const result = await client.query(
+        `UPDATE pages SET parent_id=$1, slug=$2, path=$3, title=$4, body=$5, status=$6, sort_order=$7,
+           show_in_nav=$8, seo_title=$9, meta_description=$10, updated_at=NOW()
+         WHERE id=$11 RETURNING *`,
+        [data.parent_id, data.slug, path, data.title, data.body, data.status, data.sort_order, data.show_in_nav, data.seo_title, data.meta_description, id]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+      }
+      await refreshChildPaths(client, id);
+      await client.query('COMMIT');
+      return res.json({ ok: true, item: result.rows[0] });
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
+app.delete('/api/pages/:id', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ ok: false, error: 'Ungültige ID' });
+    const children = await pool.query('SELECT 1 FROM pages WHERE parent_id = $1 LIMIT 1', [id]);
+    if (children.rows.length > 0) return res.status(400).json({ ok: false, error: 'Seite hat Unterseiten' });
+    const result = await pool.query('DELETE FROM pages WHERE id=$1 RETURNING id', [id]);
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true, deletedId: id });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
 // ADMIN — Nachrichten
+const MESSAGE_FOLDERS = {
+  inbox: 'spam = false AND archived = false',
+  archived: 'spam = false AND archived = true',
+  spam: 'spam = true'
+};
+
+const MESSAGE_BULK_ACTIONS = {
+  read: 'UPDATE messages SET read = true WHERE id = ANY($1::int[])',
+  unread: 'UPDATE messages SET read = false WHERE id = ANY($1::int[])',
+  archive: 'UPDATE messages SET archived = true, read = true WHERE id = ANY($1::int[])',
+  restore: 'UPDATE messages SET archived = false WHERE id = ANY($1::int[])',
+  delete: 'DELETE FROM messages WHERE id = ANY($1::int[])'
+};
+
+// ?folder=inbox|archived|spam (archived=true still works), q, read=true|false,
+// from/to (YYYY-MM-DD, inclusive), page, per_page
 app.get('/api/messages', requireAuth, async (req, res) => {
   try {
-    const showArchived = req.query.archived === 'true';
-    const result = await pool.query(`SELECT id, name, email, subject, body, read, archived, created_at FROM messages WHERE archived = $1 ORDER BY created_at DESC`, [showArchived]);
-    const unreadCount = await pool.query(`SELECT COUNT(*) FROM messages WHERE read = false AND archived = false`);
-    return res.json({ ok: true, items: result.rows, unread: parseInt(unreadCount.rows[0].count) });
+    const folder = req.query.archived === 'true' ? 'archived' : String(req.query.folder || 'inbox');
+    if (!MESSAGE_FOLDERS[folder]) return res.status(400).json({ ok: false, error: 'Ungültiger Ordner' });
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const perPage = Math.min(100, Math.max(1, parseInt(req.query.per_page) || 25));
+    const q = String(req.query.q || '').trim().slice(0, 200);
+    const read = String(req.query.read || '');
+    const from = String(req.query.from || '').trim();
+    const to = String(req.query.to || '').trim();
+
+    const where = [MESSAGE_FOLDERS[folder]];
+    const params = [];
+    if (read === 'true' || read === 'false') {
+      params.push(read === 'true');
+      where.push(`read = $${params.length}`);
+    }
+    for (const [value, op] of [[from, '>='], [to, '<']]) {
+      if (!value) continue;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return res.status(400).json({ ok: false, error: 'Ungültiges Datum' });
+      params.push(value);
+      where.push(`created_at ${op} $${params.length}::date${op === '<' ? ' + 1' : ''}`);
+    }
+    let order = 'last_activity_at DESC';
+    if (q) {
+      params.push(q);
+      const query = `websearch_to_tsquery('german', $${params.length})`;
+      params.push(`%${q.replace(/[\\%_]/g, '\\$&')}%`);
+      where.push(`(search_vector @@ ${query} OR email ILIKE $${params.length})`);
+      order = `ts_rank(search_vector, ${query}) DESC, ${order}`;
+    }
+    const whereSql = where.map(w => `(${w})`).join(' AND ');
+
+    const total = await pool.query(`SELECT COUNT(*) FROM messages WHERE ${whereSql}`, params);
+    // Newest activity first, so a thread with a fresh answer moves to the top
+    const result = await pool.query(
+      `SELECT m.id, m.name, m.email, m.subject, m.body, m.read, m.archived, m.spam, m.spam_score, m.spam_reasons, m.created_at,
+              r.reply_count, GREATEST(m.created_at, r.last_reply_at) AS last_activity_at
+       FROM messages m
+       LEFT JOIN LATERAL (
+         SELECT COUNT(*)::int AS reply_count, MAX(created_at) AS last_reply_at FROM message_replies WHERE message_id = m.id
+       ) r ON true
+       WHERE ${whereSql}
+       ORDER BY ${order}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, perPage, (page - 1) * perPage]
+    );
+    const counts = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE read = false AND archived = false AND spam = false) AS unread,
+              COUNT(*) FILTER (WHERE spam = true) AS spam
+       FROM messages`
+    );
+    const count = parseInt(total.rows[0].count);
+    return res.json({
+      ok: true, items: result.rows, page, per_page: perPage, total: count, pages: Math.ceil(count / perPage),
+      unread: parseInt(counts.rows[0].unread), spam: parseInt(counts.rows[0].spam)
+    });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// { action: read|unread|archive|restore|delete, ids: [..] }
+app.post('/api/messages/bulk', requireAuth, async (req, res) => {
+  try {
+    const sql = MESSAGE_BULK_ACTIONS[req.body.action];
+    if (!sql) return res.status(400).json({ ok: false, error: 'Ungültige Aktion' });
+    const ids = [...new Set((Array.isArray(req.body.ids) ? req.body.ids : []).map(Number))]
+      .filter(id => Number.isInteger(id) && id > 0);
+    if (ids.length === 0) return res.status(400).json({ ok: false, error: 'Keine Nachrichten ausgewählt' });
+    if (ids.length > 500) return res.status(400).json({ ok: false, error: 'Zu viele Nachrichten (max. 500)' });
+    const result = await pool.query(sql, [ids]);
+    return res.json({ ok: true, affected: result.rowCount });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.put('/api/messages/:id/spam', requireAuth, async (req, res) => {
+  try {
+    const spam = req.body.spam !== false && req.body.spam !== 'false';
+    // Marking as spam also marks as read; "not spam" puts it back in the inbox
+    const result = await pool.query(
+      `UPDATE messages SET spam = $1, read = read OR $1, archived = CASE WHEN $1 THEN archived ELSE false END
+       WHERE id = $2 RETURNING id`,
+      [spam, Number(req.params.id)]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/api/messages/:id/thread', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const msg = await pool.query('SELECT id, name, email, subject, body, created_at FROM messages WHERE id = $1 LIMIT 1', [id]);
+    if (msg.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nachricht nicht gefunden' });
+    return res.json({ ok: true, message: msg.rows[0], replies: await loadThread(pool, id) });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
@@ -258,17 +889,52 @@ app.post('/api/messages/:id/reply', requireAuth, async (req, res) => {
     const msg = await pool.query('SELECT * FROM messages WHERE id = $1 LIMIT 1', [id]);
     if (msg.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nachricht nicht gefunden' });
     const { sendMessageReply } = require('./shop/delivery');
-    await sendMessageReply({ to: msg.rows[0].email, subject: replySubject || `Re: ${msg.rows[0].subject || 'Ihre Anfrage'}`, body: replyBody });
+    const to = msg.rows[0].email;
+    const subject = replySubject || `Re: ${msg.rows[0].subject || 'Ihre Anfrage'}`;
+    const replyTo = replyAddress(await ensureReplyToken(pool, id));
+    const sent = await sendMessageReply({ to, subject, body: replyBody, replyTo });
+    const result = await pool.query(
+      `INSERT INTO message_replies (message_id, direction, from_email, to_email, subject, body, provider_id, author)
+       VALUES ($1, 'out', $2, $3, $4, $5, $6, $7) RETURNING id, direction, from_email, to_email, subject, body, author, created_at`,
+      [id, sent.from, to, subject, replyBody, sent.id, req.session.user.username]
+    );
     await pool.query('UPDATE messages SET read = true WHERE id = $1', [id]);
-    return res.json({ ok: true });
+    return res.json({ ok: true, item: result.rows[0] });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
-// ADMIN — Produkte (mit image_slug)
+// ADMIN — Medien
+app.use('/api/media', requireAuth, mediaRouter);
+
+// ADMIN — Produkte (Bild aus der Mediathek, image_slug als Fallback)
+function parseMediaId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Capacity, start and join link only apply to events
+function parseEventFields(body, type) {
+  if (type !== 'event') return { event_capacity: null, event_starts_at: null, event_join_url: null };
+  const capacity = parseInt(body.event_capacity);
+  const startsAt = body.event_starts_at ? new Date(String(body.event_starts_at)) : null;
+  if (startsAt && Number.isNaN(startsAt.getTime())) throw new Error('Ungültiger Event-Termin');
+  return {
+    event_capacity: capacity > 0 ? capacity : null,
+    event_starts_at: startsAt,
+    event_join_url: String(body.event_join_url || '').trim() || null
+  };
+}
+
+// Gift vouchers: buyer picks the amount (price_cents then unused, keep it 0)
+function parseVoucherFreeAmount(body, type) {
+  if (type !== 'gutschein') return false;
+  return body.voucher_free_amount === true || body.voucher_free_amount === 'true';
+}
+
 app.get('/api/products', requireAuth, async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM products ORDER BY sort_order ASC, id ASC');
-    return res.json({ ok: true, items: result.rows });
+    return res.json({ ok: true, items: await attachMedia(result.rows) });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
@@ -279,16 +945,21 @@ app.post('/api/products', requireAuth, async (req, res) => {
     const price_cents = Math.round(parseFloat(req.body.price_euros || 0) * 100);
     const type = String(req.body.type || 'sitzung').trim();
     const cal_event_type_slug = String(req.body.cal_event_type_slug || '').trim() || null;
-    const download_url = String(req.body.download_url || '').trim() || null;
     const image_slug = String(req.body.image_slug || '').trim() || null;
+    const media_id = parseMediaId(req.body.media_id);
     const active = req.body.active !== false && req.body.active !== 'false';
     const sort_order = parseInt(req.body.sort_order || 0);
+    const session_credits = type === 'paket' ? Math.max(1, parseInt(req.body.session_credits) || 1) : 1;
+    const event = parseEventFields(req.body, type);
+    const voucher_free_amount = parseVoucherFreeAmount(req.body, type);
     if (!name) return res.status(400).json({ ok: false, error: 'Name fehlt' });
-    if (!['sitzung', 'paket', 'event', 'download'].includes(type)) return res.status(400).json({ ok: false, error: 'Ungültiger Typ' });
+    if (!['sitzung', 'paket', 'event', 'download', 'gutschein'].includes(type)) return res.status(400).json({ ok: false, error: 'Ungültiger Typ' });
     const result = await pool.query(
-      `INSERT INTO products (name, description, price_cents, type, cal_event_type_slug, download_url, image_slug, active, sort_order)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
-      [name, description, price_cents, type, cal_event_type_slug, download_url, image_slug, active, sort_order]
+      `INSERT INTO products (name, description, price_cents, type, cal_event_type_slug, image_slug, media_id, active, sort_order, session_credits,
+         event_capacity, event_starts_at, event_join_url, voucher_free_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *`,
+      [name, description, price_cents, type, cal_event_type_slug, image_slug, media_id, active, sort_order, session_credits,
+        event.event_capacity, event.event_starts_at, event.event_join_url, voucher_free_amount]
     );
     return res.json({ ok: true, item: result.rows[0] });
   } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
@@ -303,38 +974,124 @@ app.put('/api/products/:id', requireAuth, async (req, res) => {
     const price_cents = Math.round(parseFloat(req.body.price_euros || 0) * 100);
     const type = String(req.body.type || 'sitzung').trim();
     const cal_event_type_slug = String(req.body.cal_event_type_slug || '').trim() || null;
-    const download_url = String(req.body.download_url || '').trim() || null;
     const image_slug = String(req.body.image_slug || '').trim() || null;
+    const media_id = parseMediaId(req.body.media_id);
     const active = req.body.active !== false && req.body.active !== 'false';
     const sort_order = parseInt(req.body.sort_order || 0);
+    const session_credits = type === 'paket' ? Math.max(1, parseInt(req.body.session_credits) || 1) : 1;
+    const event = parseEventFields(req.body, type);
+    const voucher_free_amount = parseVoucherFreeAmount(req.body, type);
     if (!name) return res.status(400).json({ ok: false, error: 'Name fehlt' });
-    const current = await pool.query('SELECT price_cents FROM products WHERE id = $1', [id]);
-    const priceChanged = current.rows[0]?.price_cents !== price_cents;
     const result = await pool.query(
       `UPDATE products
        SET name=$1, description=$2, price_cents=$3, type=$4,
-           cal_event_type_slug=$5, download_url=$6, image_slug=$7, active=$8, sort_order=$9,
-           ${priceChanged ? 'stripe_price_id=NULL, stripe_product_id=NULL,' : ''}
+           cal_event_type_slug=$5, image_slug=$6, media_id=$7, active=$8, sort_order=$9,
+           session_credits=$10, event_capacity=$11, event_starts_at=$12, event_join_url=$13, voucher_free_amount=$14,
            updated_at=NOW()
-       WHERE id=$10 RETURNING *`,
-      [name, description, price_cents, type, cal_event_type_slug, download_url, image_slug, active, sort_order, id]
+       WHERE id=$15 RETURNING *`,
+      [name, description, price_cents, type, cal_event_type_slug, image_slug, media_id, active, sort_order, session_credits,
+        event.event_capacity, event.event_starts_at, event.event_join_url, voucher_free_amount, id]
     );
     if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
-    return res.json({ ok: true, item: result.rows[0] });
+    // More places (or no limit any more) → move people up from the waitlist
+    if (type === 'event') await fillFromWaitlist(id);
+    // Name, description, active flag and price over to Stripe (see shop/catalog.js).
+    // A failure doesn't undo the save; checkout still picks up a new price.
+    let syncError = null;
+    await syncProduct(result.rows[0]).catch(e => { syncError = e.message; });
+    return res.json({ ok: true, item: result.rows[0], sync_error: syncError });
   } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
 });
 
 app.delete('/api/products/:id', requireAuth, async (req, res) => {
   try {
-    await pool.query('DELETE FROM products WHERE id = $1', [Number(req.params.id)]);
+    const id = Number(req.params.id);
+    // The private file is removed with the product: paid links must not break
+    const liveGrants = await pool.query(
+      `SELECT COUNT(*)::int AS n FROM download_grants
+       WHERE product_id = $1 AND revoked_at IS NULL AND expires_at > NOW() AND download_count < max_downloads`,
+      [id]
+    );
+    if (liveGrants.rows[0].n > 0) {
+      return res.status(409).json({
+        ok: false,
+        error: `Noch ${liveGrants.rows[0].n} gültige Download-Link(s) – Produkt stattdessen deaktivieren`
+      });
+    }
+    const result = await pool.query('DELETE FROM products WHERE id = $1 RETURNING download_key, stripe_product_id', [id]);
+    await removeProductFile(result.rows[0]?.download_key);
+    await archiveStripeProduct(result.rows[0]).catch(e => console.error('[CATALOG] Archive failed:', e.message));
     return res.json({ ok: true });
+  } catch (e) {
+    // event_registrations: ON DELETE RESTRICT keeps the attendee list
+    if (e.code === '23503') {
+      return res.status(409).json({ ok: false, error: 'Das Event hat Anmeldungen – stattdessen deaktivieren' });
+    }
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ─────────────────────────────────────────
+// Catalog sync with Stripe: GET = preview of what would change, POST = apply
+// ─────────────────────────────────────────
+app.get('/api/catalog/sync', requireAuth, async (req, res) => {
+  try {
+    return res.json({ ok: true, items: await catalogDiff() });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
+app.post('/api/catalog/sync', requireAuth, async (req, res) => {
+  try {
+    return res.json({ ok: true, items: await syncCatalog() });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Private file for download products (multipart field "file"), see shop/downloads.js
+const MAX_DOWNLOAD_BYTES = 100 * 1024 * 1024;
+const downloadUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_DOWNLOAD_BYTES, files: 1 } });
+
+app.post('/api/products/:id/download-file', requireAuth, (req, res) => {
+  downloadUpload.single('file')(req, res, async (err) => {
+    try {
+      if (err) throw err.code === 'LIMIT_FILE_SIZE' ? new Error('Datei zu groß (max. 100 MB)') : err;
+      if (!req.file) return res.status(400).json({ ok: false, error: 'Keine Datei' });
+      const product = await storeProductFile(Number(req.params.id), {
+        buffer: req.file.buffer,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype
+      });
+      if (!product) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+      return res.json({ ok: true, item: product });
+    } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+  });
+});
+
 // ADMIN — Bestellungen
 app.get('/api/orders', requireAuth, async (req, res) => {
   try {
-    const result = await pool.query(`SELECT o.*, p.name as product_name, p.type as product_type FROM orders o LEFT JOIN products p ON o.product_id = p.id ORDER BY o.created_at DESC LIMIT 200`);
+    const result = await pool.query(
+      `SELECT o.*, p.name as product_name, p.type as product_type,
+              COALESCE(json_agg(json_build_object(
+                'id', i.id, 'product_id', i.product_id, 'product_name', i.product_name, 'product_type', i.product_type,
+                'unit_amount_cents', i.unit_amount_cents, 'quantity', i.quantity, 'delivered_at', i.delivered_at,
+                'download', (SELECT row_to_json(g) FROM (
+                  SELECT id, expires_at, max_downloads, download_count, revoked_at, created_by, created_at
+                  FROM download_grants WHERE order_item_id = i.id ORDER BY id DESC LIMIT 1
+                ) g)
+              ) ORDER BY i.id) FILTER (WHERE i.id IS NOT NULL), '[]') AS items,
+              (SELECT COALESCE(json_agg(r ORDER BY r.created_at), '[]') FROM (
+                SELECT amount_cents, status, reason, created_by, created_at FROM order_refunds WHERE order_id = o.id
+              ) r) AS refunds,
+              (SELECT COALESCE(json_agg(v ORDER BY v.id), '[]') FROM (
+                SELECT id, number, kind, gross_cents, issued_at, emailed_at FROM invoices WHERE order_id = o.id
+              ) v) AS invoices,
+              (SELECT code FROM vouchers WHERE id = o.voucher_id) AS voucher_code
+       FROM orders o
+       LEFT JOIN products p ON o.product_id = p.id
+       LEFT JOIN order_items i ON i.order_id = o.id
+       GROUP BY o.id, p.id
+       ORDER BY o.created_at DESC LIMIT 200`
+    );
     return res.json({ ok: true, items: result.rows });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
@@ -347,6 +1104,382 @@ app.put('/api/orders/:id/notes', requireAuth, async (req, res) => {
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
+// { amount_euros?, reason?, revoke? } — without amount the whole remaining sum
+app.post('/api/orders/:id/refund', requireAuth, async (req, res) => {
+  try {
+    const raw = String(req.body.amount_euros ?? '').trim();
+    const amountCents = raw ? Math.round(parseFloat(raw.replace(',', '.')) * 100) : null;
+    if (raw && !(amountCents > 0)) return res.status(400).json({ ok: false, error: 'Ungültiger Betrag' });
+    const result = await refundOrder(Number(req.params.id), {
+      amountCents,
+      reason: String(req.body.reason || ''),
+      revoke: req.body.revoke === true || req.body.revoke === 'true',
+      createdBy: req.session.user.username
+    });
+    if (!result) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true, item: result.order, revoked: result.revoked });
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
+// ADMIN — Rabattcodes (mirrored to Stripe, see shop/coupons.js)
+app.get('/api/coupons', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT c.*, COALESCE(SUM(o.discount_cents) FILTER (WHERE o.status = 'paid'), 0)::int AS discount_total_cents
+       FROM coupons c LEFT JOIN orders o ON o.coupon_id = c.id
+       GROUP BY c.id
+       ORDER BY c.created_at DESC`
+    );
+    return res.json({ ok: true, items: result.rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.post('/api/coupons', requireAuth, async (req, res) => {
+  try {
+    const item = await createCoupon(normalizeCouponInput(req.body));
+    return res.json({ ok: true, item });
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
+app.put('/api/coupons/:id', requireAuth, async (req, res) => {
+  try {
+    const item = await updateCoupon(Number(req.params.id), normalizeCouponInput(req.body));
+    if (!item) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true, item });
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
+app.delete('/api/coupons/:id', requireAuth, async (req, res) => {
+  try {
+    if (!await deleteCoupon(Number(req.params.id))) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// ADMIN — Download-Links per order item (shop/downloads.js)
+// Reissue: old links stop working, the customer gets a fresh one by email
+app.post('/api/orders/items/:itemId/download/reissue', requireAuth, async (req, res) => {
+  try {
+    const { sendDownloadConfirmation } = require('./shop/delivery');
+    const result = await reissueGrant(Number(req.params.itemId), req.session.user.username);
+    if (!result) return res.status(404).json({ ok: false, error: 'Download-Position nicht gefunden' });
+    const { grant, item } = result;
+    await sendDownloadConfirmation({
+      to: item.customer_email,
+      name: item.customer_name,
+      productName: item.product_name,
+      downloadUrl: downloadUrl(grant.id),
+      expiresAt: grant.expires_at,
+      maxDownloads: grant.max_downloads
+    });
+    return res.json({ ok: true, grant });
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
+app.post('/api/orders/items/:itemId/download/revoke', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeGrants(pool, Number(req.params.itemId), req.session.user.username);
+    console.log(`[DOWNLOADS] ${revoked} grant(s) of order item ${req.params.itemId} revoked by ${req.session.user.username}`);
+    return res.json({ ok: true, revoked });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/api/orders/items/:itemId/download/log', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT l.id, l.grant_id, l.outcome, l.ip_hash, l.user_agent, l.created_at
+       FROM download_access_log l JOIN download_grants g ON g.id = l.grant_id
+       WHERE g.order_item_id = $1
+       ORDER BY l.created_at DESC, l.id DESC LIMIT 200`,
+      [Number(req.params.itemId)]
+    );
+    return res.json({ ok: true, items: result.rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// ADMIN — Rechnungen (shop/invoices.js). New ones are issued on payment and
+// refund; this one is for orders paid before invoices existed.
+app.post('/api/orders/:id/invoice', requireAuth, async (req, res) => {
+  try {
+    const invoice = await ensureInvoice(Number(req.params.id), { createdBy: req.session.user.username });
+    if (!invoice) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true, item: invoice });
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
+app.get('/api/invoices/:id/pdf', requireAuth, async (req, res) => {
+  try {
+    const invoice = await loadInvoice(Number(req.params.id));
+    if (!invoice) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    const pdf = await invoicePdf(invoice);
+    res.set('Content-Disposition', `inline; filename="${invoice.number}.pdf"`);
+    return res.type('application/pdf').send(pdf);
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// (Re)send an invoice or Stornorechnung to the customer
+app.post('/api/invoices/:id/send', requireAuth, async (req, res) => {
+  try {
+    const { sendInvoiceEmail } = require('./shop/delivery');
+    const invoice = await loadInvoice(Number(req.params.id));
+    if (!invoice) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    if (!invoice.customer.email) return res.status(400).json({ ok: false, error: 'Keine E-Mail-Adresse zu dieser Rechnung' });
+    await sendInvoiceEmail({
+      to: invoice.customer.email,
+      name: invoice.customer.name,
+      number: invoice.number,
+      cancellation: invoice.kind === 'cancellation',
+      attachment: await invoiceAttachment(invoice)
+    });
+    await markInvoiceEmailed(invoice.id);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// ADMIN — Stripe-Ereignisse (webhook log + job state, see shop/webhooks.js)
+// ?status=failed (default) | open (waiting for a retry) | all
+app.get('/api/stripe-events', requireAuth, async (req, res) => {
+  try {
+    const status = ['failed', 'open', 'all'].includes(req.query.status) ? req.query.status : 'failed';
+    const result = await pool.query(
+      `SELECT e.id, e.type, e.livemode, e.received_at,
+              j.status, j.attempts, j.max_attempts, j.run_at, j.last_error, j.finished_at
+       FROM stripe_events e LEFT JOIN jobs j ON j.id = e.job_id
+       WHERE $1 = 'all'
+          OR ($1 = 'failed' AND j.status = 'failed')
+          OR ($1 = 'open' AND j.status IN ('pending', 'running'))
+       ORDER BY e.received_at DESC
+       LIMIT 200`,
+      [status]
+    );
+    return res.json({ ok: true, items: result.rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.post('/api/stripe-events/:id/reprocess', requireAuth, async (req, res) => {
+  try {
+    const job = await reprocessStripeEvent(String(req.params.id));
+    if (!job) return res.status(409).json({ ok: false, error: 'Nur fehlgeschlagene Ereignisse können neu verarbeitet werden' });
+    console.log(`[STRIPE] Event ${req.params.id} requeued by ${req.session.user.username}`);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// ADMIN — Abgleich mit Stripe (shop/reconcile.js)
+app.get('/api/reconciliation', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM reconciliation_runs ORDER BY started_at DESC LIMIT 20');
+    return res.json({ ok: true, items: result.rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.post('/api/reconciliation/run', requireAuth, async (req, res) => {
+  try {
+    const item = await reconcileOrders(req.session.user.username);
+    return res.json({ ok: true, item });
+  } catch (e) { return res.status(409).json({ ok: false, error: e.message }); }
+});
+
+// ADMIN — Paket-Guthaben (credit_ledger, see shop/credits.js)
+app.get('/api/credits', requireAuth, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().toLowerCase();
+    const result = await pool.query(
+      `SELECT l.customer_email, l.product_id, p.name AS product_name,
+              SUM(l.delta) FILTER (WHERE l.reason = 'purchase')::int AS purchased,
+              (-SUM(l.delta) FILTER (WHERE l.reason IN ('booking', 'booking-cancelled')))::int AS booked,
+              SUM(l.delta)::int AS balance,
+              MAX(l.created_at) AS last_activity_at
+       FROM credit_ledger l LEFT JOIN products p ON p.id = l.product_id
+       WHERE $1 = '' OR l.customer_email LIKE '%' || $1 || '%'
+       GROUP BY l.customer_email, l.product_id, p.name
+       ORDER BY last_activity_at DESC
+       LIMIT 200`,
+      [q]
+    );
+    return res.json({ ok: true, items: result.rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/api/credits/ledger', requireAuth, async (req, res) => {
+  try {
+    const email = String(req.query.email || '').trim().toLowerCase();
+    const productId = Number(req.query.product_id);
+    const result = await pool.query(
+      `SELECT id, delta, reason, cal_booking_uid, note, created_by, created_at, order_item_id
+       FROM credit_ledger WHERE customer_email = $1 AND product_id = $2 ORDER BY created_at DESC, id DESC`,
+      [email, productId]
+    );
+    return res.json({ ok: true, items: result.rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// { email, product_id, delta, note }
+app.post('/api/credits/adjust', requireAuth, async (req, res) => {
+  try {
+    const { adjustCredits } = require('./shop/credits');
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const productId = Number(req.body.product_id);
+    const delta = Number(req.body.delta);
+    const note = String(req.body.note || '').trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ ok: false, error: 'Ungültige E-Mail-Adresse' });
+    if (!Number.isInteger(delta) || delta === 0 || Math.abs(delta) > 100) return res.status(400).json({ ok: false, error: 'Ungültige Anzahl' });
+    const product = await pool.query(`SELECT id FROM products WHERE id = $1 AND type = 'paket'`, [productId]);
+    if (product.rows.length === 0) return res.status(404).json({ ok: false, error: 'Paket nicht gefunden' });
+    const balance = await adjustCredits({ email, productId, delta, note, createdBy: req.session.user.username });
+    return res.json({ ok: true, balance });
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
+// ADMIN — Gutscheine (voucher_ledger, see shop/vouchers.js)
+app.get('/api/vouchers', requireAuth, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().toLowerCase();
+    const result = await pool.query(
+      `SELECT v.*, COALESCE(SUM(l.delta_cents), 0)::int AS balance_cents, i.order_id
+       FROM vouchers v
+       LEFT JOIN voucher_ledger l ON l.voucher_id = v.id
+       LEFT JOIN order_items i ON i.id = v.order_item_id
+       WHERE $1 = '' OR lower(v.code) LIKE '%' || $1 || '%'
+          OR lower(v.purchaser_email) LIKE '%' || $1 || '%' OR lower(v.recipient_email) LIKE '%' || $1 || '%'
+       GROUP BY v.id, i.order_id
+       ORDER BY v.created_at DESC
+       LIMIT 200`,
+      [q]
+    );
+    return res.json({ ok: true, items: result.rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/api/vouchers/:id/ledger', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, order_id, delta_cents, reason, note, created_by, created_at
+       FROM voucher_ledger WHERE voucher_id = $1 ORDER BY created_at DESC, id DESC`,
+      [Number(req.params.id)]
+    );
+    return res.json({ ok: true, items: result.rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// { amount_euros (negative = deduct, e.g. redeemed in person), note }
+app.post('/api/vouchers/:id/adjust', requireAuth, async (req, res) => {
+  try {
+    const deltaCents = Math.round(parseFloat(String(req.body.amount_euros ?? '').replace(',', '.')) * 100);
+    if (!Number.isInteger(deltaCents) || deltaCents === 0) return res.status(400).json({ ok: false, error: 'Ungültiger Betrag' });
+    const balance = await adjustVoucher(Number(req.params.id), {
+      deltaCents,
+      note: String(req.body.note || '').trim(),
+      createdBy: req.session.user.username
+    });
+    if (balance === null) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true, balance });
+  } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+});
+
+app.post('/api/vouchers/:id/revoke', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeVoucher(Number(req.params.id), {
+      note: String(req.body.note || '').trim(),
+      createdBy: req.session.user.username
+    });
+    if (revoked === null) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true, revoked });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/api/vouchers/:id/pdf', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM vouchers WHERE id = $1', [Number(req.params.id)]);
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    const attachment = await voucherAttachment(result.rows[0]);
+    res.set('Content-Disposition', `inline; filename="${attachment.filename}"`);
+    return res.type('application/pdf').send(Buffer.from(attachment.content, 'base64'));
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Send (again) to the recipient now, regardless of the chosen date
+app.post('/api/vouchers/:id/send', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM vouchers WHERE id = $1', [Number(req.params.id)]);
+    const voucher = result.rows[0];
+    if (!voucher) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    if (!voucher.recipient_email) return res.status(400).json({ ok: false, error: 'Keine E-Mail-Adresse der beschenkten Person' });
+    if (voucher.revoked_at) return res.status(400).json({ ok: false, error: 'Der Gutschein ist gesperrt' });
+    await sendVoucherEmail(voucher);
+    await pool.query('UPDATE vouchers SET sent_at = NOW() WHERE id = $1', [voucher.id]);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// ADMIN — Event-Anmeldungen
+const REGISTRATION_STATUS_LABELS = { confirmed: 'Bestätigt', waitlisted: 'Warteliste', cancelled: 'Abgemeldet' };
+
+async function loadRegistrations(productId) {
+  const result = await pool.query(
+    `SELECT id, name, email, status, promoted_at, reminder_sent_at, cancelled_at, created_at
+     FROM event_registrations WHERE product_id = $1
+     ORDER BY CASE status WHEN 'confirmed' THEN 0 WHEN 'waitlisted' THEN 1 ELSE 2 END, created_at, id`,
+    [productId]
+  );
+  return result.rows;
+}
+
+function csvCell(value) {
+  const str = value instanceof Date
+    ? value.toLocaleString('de-DE', { timeZone: 'Europe/Berlin', dateStyle: 'short', timeStyle: 'short' })
+    : String(value ?? '');
+  // Leading =, +, -, @ would be run as a formula by spreadsheet apps
+  const safe = /^[=+\-@]/.test(str) ? `'${str}` : str;
+  return /[";\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+app.get('/api/events', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.id, p.name, p.active, p.event_capacity, p.event_starts_at,
+              COUNT(r.id) FILTER (WHERE r.status = 'confirmed')::int AS confirmed,
+              COUNT(r.id) FILTER (WHERE r.status = 'waitlisted')::int AS waitlisted
+       FROM products p LEFT JOIN event_registrations r ON r.product_id = p.id
+       WHERE p.type = 'event'
+       GROUP BY p.id
+       ORDER BY p.event_starts_at DESC NULLS LAST, p.id DESC`
+    );
+    return res.json({ ok: true, items: result.rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/api/events/:id/registrations', requireAuth, async (req, res) => {
+  try {
+    return res.json({ ok: true, items: await loadRegistrations(Number(req.params.id)) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Semicolon-separated with BOM, so Excel opens it with umlauts intact
+app.get('/api/events/:id/registrations.csv', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const product = await pool.query(`SELECT name FROM products WHERE id = $1 AND type = 'event'`, [id]);
+    if (product.rows.length === 0) return res.status(404).type('text/plain').send('Event nicht gefunden');
+    const rows = await loadRegistrations(id);
+    const lines = [
+      ['Name', 'E-Mail', 'Status', 'Angemeldet', 'Nachgerückt', 'Abgemeldet'],
+      ...rows.map(r => [r.name, r.email, REGISTRATION_STATUS_LABELS[r.status], r.created_at, r.promoted_at, r.cancelled_at])
+    ];
+    const csv = '\ufeff' + lines.map(line => line.map(csvCell).join(';')).join('\r\n') + '\r\n';
+    res.set('Content-Disposition', `attachment; filename="anmeldungen-${slugify(product.rows[0].name) || id}.csv"`);
+    return res.type('text/csv; charset=utf-8').send(csv);
+  } catch (e) { return res.status(500).type('text/plain').send(e.message); }
+});
+
+app.post('/api/events/registrations/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const result = await cancelRegistration(Number(req.params.id));
+    if (!result) return res.status(404).json({ ok: false, error: 'Nicht gefunden' });
+    return res.json({ ok: true, promoted: result.promoted.length });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
 // ADMIN — Cal.com Bookings
 app.get('/api/bookings', requireAuth, async (req, res) => {
   try {
@@ -358,4 +1491,24 @@ app.get('/api/bookings', requireAuth, async (req, res) => {
 
 app.get('/', (req, res) => res.type('text/plain').send('DiMonte CMS running'));
 
-app.listen(PORT, () => console.log(`[BOOT] Listening on port ${PORT}`));
\ No newline at end of file
+// Refuse to serve against an outdated schema
+(async function start() {
+  try {
+    const pending = await migrate.pending();
+    if (pending.length) {
+      console.error(`[BOOT] ${pending.length} pending migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')}`);
+      console.error('[BOOT] Run `npm run migrate` before starting the server');
+      process.exit(1);
+    }
+  } catch (e) {
+    console.error('[BOOT] Migration check failed:', e.message);
+    process.exit(1);
+  }
+  app.listen(PORT, () => console.log(`[BOOT] Listening on port ${PORT}`));
+  startScheduler();
+  startEventReminders();
+  startCouponScheduler();
+  startJobWorker();
+  startReconciliation();
+  startVoucherScheduler();
+})();
\ No newline at end of file
@@ -0,0 +1,154 @@
+const pool = require('../db');
+const { stripe, ensureStripeProduct, ensureStripePrice } = require('./stripe');
+
+// Deleted in Stripe, or ids from another account (test vs. live key)
+function isMissing(e) {
+  return e.statusCode === 404 || e.code === 'resource_missing';
+}
+
+async function retrieveOrNull(resource, id) {
+  try {
+    const found = await resource.retrieve(id);
+    return found.deleted ? null : found;
+  } catch (e) {
+    if (isMissing(e)) return null;
+    throw e;
+  }
+}
+
+// What the Stripe product should say
+function stripeFields(product) {
+  return { name: product.name, description: product.description || '', active: !!product.active };
+}
+
+// ─────────────────────────────────────────
+// Compare one product with Stripe → [{ field, from, to }], empty when in
+// sync. field: product (create in Stripe), name, description, active, price.
+// A product that was never in Stripe is only created with create set
+// (sync all); otherwise the first checkout does that.
+// ─────────────────────────────────────────
+async function diffProduct(product, { create = false } = {}) {
+  const want = stripeFields(product);
+  // Free products never go through checkout
+  const needsPrice = product.active && product.price_cents > 0;
+
+  const remote = product.stripe_product_id
+    ? await retrieveOrNull(stripe.products, product.stripe_product_id)
+    : null;
+  if (!remote) {
+    return product.stripe_product_id || (create && needsPrice)
+      ? [{ field: 'product', from: null, to: want.name }]
+      : [];
+  }
+
+  const changes = [];
+  if (remote.name !== want.name) changes.push({ field: 'name', from: remote.name, to: want.name });
+  if ((remote.description || '') !== want.description) {
+    changes.push({ field: 'description', from: remote.description || '', to: want.description });
+  }
+  if (remote.active !== want.active) changes.push({ field: 'active', from: remote.active, to: want.active });
+
+  if (needsPrice) {
+    const price = product.stripe_price_id ? await retrieveOrNull(stripe.prices, product.stripe_price_id) : null;
+    if (!price || !price.active || price.unit_amount !== product.price_cents) {
+      changes.push({ field: 'price', from: price?.active ? price.unit_amount : null, to: product.price_cents });
+    }
+  }
+  return changes;
+}
+
+async function applyChanges(product, changes) {
+  const fields = new Set(changes.map(c => c.field));
+  if (fields.size === 0) return;
+
+  if (fields.has('product') && product.stripe_product_id) {
+    // Gone in Stripe: start over with fresh ids
+    await pool.query(
+      'UPDATE products SET stripe_product_id = NULL, stripe_price_id = NULL, stripe_price_cents = NULL WHERE id = $1',
+      [product.id]
+    );
+    product.stripe_product_id = null;
+    product.stripe_price_id = null;
+    product.stripe_price_cents = null;
+  }
+
+  const stripeProductId = await ensureStripeProduct(product);
+  if (fields.has('name') || fields.has('description') || fields.has('active') || (fields.has('product') && !product.active)) {
+    await stripe.products.update(stripeProductId, stripeFields(product));
+  }
+  if (fields.has('price') || (fields.has('product') && product.active && product.price_cents > 0)) {
+    await ensureStripePrice(product, { force: true });
+  }
+}
+
+// ─────────────────────────────────────────
+// Bring one product's Stripe side up to date. Called after every save
+// (products already in Stripe) and by "sync all". Errors are kept on the
+// product (stripe_sync_error) and rethrown.
+// ─────────────────────────────────────────
+async function syncProduct(product, { create = false } = {}) {
+  try {
+    const changes = await diffProduct(product, { create });
+    await applyChanges(product, changes);
+    await pool.query(
+      `UPDATE products SET stripe_sync_error = NULL,
+         stripe_synced_at = CASE WHEN stripe_product_id IS NOT NULL THEN NOW() ELSE stripe_synced_at END
+       WHERE id = $1`,
+      [product.id]
+    );
+    if (changes.length) console.log(`[CATALOG] Product ${product.id} synced: ${changes.map(c => c.field).join(', ')}`);
+    return { product_id: product.id, name: product.name, changes };
+  } catch (e) {
+    await pool.query('UPDATE products SET stripe_sync_error = $1 WHERE id = $2', [e.message, product.id]);
+    console.error(`[CATALOG] Product ${product.id} sync failed:`, e.message);
+    throw e;
+  }
+}
+
+async function allProducts() {
+  const result = await pool.query('SELECT * FROM products ORDER BY sort_order ASC, id ASC');
+  return result.rows;
+}
+
+// ─────────────────────────────────────────
+// ADMIN "sync all": preview first (nothing is written), then apply.
+// Both return only products with changes or errors:
+// [{ product_id, name, changes, error? }]
+// ─────────────────────────────────────────
+async function catalogDiff() {
+  const items = [];
+  for (const product of await allProducts()) {
+    try {
+      const changes = await diffProduct(product, { create: true });
+      if (changes.length) items.push({ product_id: product.id, name: product.name, changes });
+    } catch (e) {
+      items.push({ product_id: product.id, name: product.name, changes: [], error: e.message });
+    }
+  }
+  return items;
+}
+
+async function syncCatalog() {
+  const items = [];
+  for (const product of await allProducts()) {
+    try {
+      const result = await syncProduct(product, { create: true });
+      if (result.changes.length) items.push(result);
+    } catch (e) {
+      items.push({ product_id: product.id, name: product.name, changes: [], error: e.message });
+    }
+  }
+  return items;
+}
+
+// Deleted product: Stripe keeps products that have prices, so archive it
+async function archiveStripeProduct(product) {
+  if (!product?.stripe_product_id) return;
+  try {
+    await stripe.products.update(product.stripe_product_id, { active: false });
+  } catch (e) {
+    if (!isMissing(e)) throw e;
+  }
+}
+
+module.exports = { syncProduct, catalogDiff, syncCatalog, archiveStripeProduct };
@@ -0,0 +1,358 @@
+const pool = require('../db');
+const { stripe, ensureStripeProduct } = require('./stripe');
+
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9-]{2,39}$/;
+
+let timer = null;
+
+// Usable right now (SQL twin: LIVE_SQL)
+function isLive(coupon, now = new Date()) {
+  return coupon.active &&
+    (!coupon.valid_from || new Date(coupon.valid_from) <= now) &&
+    (!coupon.valid_until || new Date(coupon.valid_until) > now) &&
+    (coupon.max_redemptions == null || coupon.times_redeemed < coupon.max_redemptions);
+}
+
+const LIVE_SQL = `(c.active
+  AND (c.valid_from IS NULL OR c.valid_from <= NOW())
+  AND (c.valid_until IS NULL OR c.valid_until > NOW())
+  AND (c.max_redemptions IS NULL OR c.times_redeemed < c.max_redemptions))`;
+
+// ─────────────────────────────────────────
+// Admin input → coupon fields (throws with a German message)
+// Body: { code, description, kind: 'percent'|'amount', value, valid_from,
+//         valid_until, max_redemptions, product_ids, active }
+// ─────────────────────────────────────────
+function parseDate(value, label) {
+  if (!value) return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) throw new Error(`Ungültiges Datum: ${label}`);
+  return date;
+}
+
+function normalizeCouponInput(body) {
+  const code = String(body.code || '').trim().toUpperCase();
+  if (!CODE_PATTERN.test(code)) throw new Error('Code: 3–40 Zeichen, nur A–Z, 0–9 und -');
+
+  const value = parseFloat(String(body.value || '').replace(',', '.'));
+  const kind = body.kind === 'amount' ? 'amount' : 'percent';
+  if (!(value > 0)) throw new Error('Rabatt fehlt');
+  if (kind === 'percent' && value > 100) throw new Error('Rabatt darf höchstens 100 % sein');
+
+  const validFrom = parseDate(body.valid_from, 'Gültig ab');
+  const validUntil = parseDate(body.valid_until, 'Gültig bis');
+  if (validFrom && validUntil && validUntil <= validFrom) throw new Error('„Gültig bis“ liegt vor „Gültig ab“');
+
+  const maxRedemptions = parseInt(body.max_redemptions);
+  const productIds = [...new Set((Array.isArray(body.product_ids) ? body.product_ids : [])
+    .map(Number).filter(id => Number.isInteger(id) && id > 0))];
+
+  return {
+    code,
+    description: String(body.description || '').trim(),
+    percent_off: kind === 'percent' ? Math.round(value * 100) / 100 : null,
+    amount_off_cents: kind === 'amount' ? Math.round(value * 100) : null,
+    valid_from: validFrom,
+    valid_until: validUntil,
+    max_redemptions: maxRedemptions > 0 ? maxRedemptions : null,
+    product_ids: productIds,
+    active: body.active !== false && body.active !== 'false'
+  };
+}
+
+// The parts Stripe cannot change on an existing coupon / promotion code
+function stripeTerms(c) {
+  return JSON.stringify([
+    c.code, c.percent_off == null ? null : Number(c.percent_off), c.amount_off_cents,
+    c.valid_until ? new Date(c.valid_until).getTime() : null, c.max_redemptions,
+    [...(c.product_ids || [])].sort((a, b) => a - b)
+  ]);
+}
+
+// ─────────────────────────────────────────
+// Stripe sync
+// ─────────────────────────────────────────
+// New coupon + promotion code for the row. With `replacing` (an edit), the
+// old promotion code is switched off just before the new one is created
+// (Stripe wants active codes to be unique) and back on if that fails.
+// Returns the new ids; the old coupon is deleted by the caller after COMMIT.
+async function createStripeCoupon(db, coupon, { replacing = null } = {}) {
+  const remaining = coupon.max_redemptions == null ? null : coupon.max_redemptions - coupon.times_redeemed;
+  if (remaining !== null && remaining <= 0) throw new Error('Nutzungslimit ist bereits erreicht');
+  if (coupon.valid_until && new Date(coupon.valid_until) <= new Date()) throw new Error('„Gültig bis“ liegt in der Vergangenheit');
+
+  const stripeProducts = [];
+  if (coupon.product_ids.length > 0) {
+    const products = await db.query('SELECT * FROM products WHERE id = ANY($1::int[])', [coupon.product_ids]);
+    if (products.rows.length !== coupon.product_ids.length) throw new Error('Unbekanntes Produkt in der Auswahl');
+    for (const product of products.rows) stripeProducts.push(await ensureStripeProduct(product));
+  }
+
+  const validUntil = coupon.valid_until ? Math.floor(new Date(coupon.valid_until).getTime() / 1000) : undefined;
+  const metadata = { dimonte_coupon_id: String(coupon.id) };
+  const stripeCoupon = await stripe.coupons.create({
+    name: coupon.code,
+    duration: 'once',
+    ...(coupon.percent_off != null
+      ? { percent_off: Number(coupon.percent_off) }
+      : { amount_off: coupon.amount_off_cents, currency: 'eur' }),
+    ...(validUntil ? { redeem_by: validUntil } : {}),
+    ...(stripeProducts.length ? { applies_to: { products: stripeProducts } } : {}),
+    metadata
+  });
+
+  const live = isLive(coupon);
+  let promotionCode;
+  try {
+    if (replacing?.stripe_promotion_code_id) {
+      await stripe.promotionCodes.update(replacing.stripe_promotion_code_id, { active: false });
+    }
+    promotionCode = await stripe.promotionCodes.create({
+      promotion: { type: 'coupon', coupon: stripeCoupon.id },
+      code: coupon.code,
+      active: live,
+      ...(validUntil ? { expires_at: validUntil } : {}),
+      ...(remaining !== null ? { max_redemptions: remaining } : {}),
+      metadata
+    });
+  } catch (e) {
+    await undoStripeCoupon({ stripe_coupon_id: stripeCoupon.id }, replacing).catch((undoError) => {
+      console.error(`[COUPONS] Undo for ${coupon.code} failed:`, undoError.message);
+      e.stripeChanged = true;
+    });
+    throw e;
+  }
+
+  await db.query(
+    `UPDATE coupons SET stripe_coupon_id = $1, stripe_promotion_code_id = $2, stripe_active = $3, updated_at = NOW()
+     WHERE id = $4`,
+    [stripeCoupon.id, promotionCode.id, live, coupon.id]
+  );
+  console.log(`[COUPONS] ${coupon.code} synced to Stripe (${promotionCode.id})`);
+  return { stripe_coupon_id: stripeCoupon.id, stripe_promotion_code_id: promotionCode.id };
+}
+
+// A replacement that did not make it: new objects gone, old code back on
+async function undoStripeCoupon(created, replaced = null) {
+  await retireStripeCoupon(created);
+  if (replaced?.stripe_promotion_code_id && replaced.stripe_active) {
+    await stripe.promotionCodes.update(replaced.stripe_promotion_code_id, { active: true });
+  }
+}
+
+// Old promotion code off first: Stripe wants active codes to be unique
+async function retireStripeCoupon(coupon) {
+  if (coupon.stripe_promotion_code_id) {
+    await stripe.promotionCodes.update(coupon.stripe_promotion_code_id, { active: false });
+  }
+  if (coupon.stripe_coupon_id) {
+    await stripe.coupons.del(coupon.stripe_coupon_id).catch(e => {
+      if (e.statusCode !== 404) throw e;
+    });
+  }
+}
+
+async function clearStripeIds(db, id) {
+  await db.query('UPDATE coupons SET stripe_coupon_id = NULL, stripe_promotion_code_id = NULL, stripe_active = false WHERE id = $1', [id]);
+}
+
+async function setStripeActive(db, coupon, active) {
+  if (!coupon.stripe_promotion_code_id || coupon.stripe_active === active) return;
+  await stripe.promotionCodes.update(coupon.stripe_promotion_code_id, { active });
+  await db.query('UPDATE coupons SET stripe_active = $1 WHERE id = $2', [active, coupon.id]);
+}
+
+// A DB write and the Stripe calls that go with it: Stripe errors roll the DB back
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.code === '23505') throw new Error('Code ist bereits vergeben');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function loadCoupon(db, id) {
+  const result = await db.query('SELECT * FROM coupons WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function createCoupon(input) {
+  return inTransaction(async (db) => {
+    const inserted = await db.query(
+      `INSERT INTO coupons (code, description, percent_off, amount_off_cents, valid_from, valid_until, max_redemptions, product_ids, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [input.code, input.description, input.percent_off, input.amount_off_cents, input.valid_from, input.valid_until,
+        input.max_redemptions, input.product_ids, input.active]
+    );
+    await createStripeCoupon(db, inserted.rows[0]);
+    return loadCoupon(db, inserted.rows[0].id);
+  });
+}
+
+// ─────────────────────────────────────────
+// Changed terms mean new Stripe objects. They are created before the old
+// ones are touched, and the old coupon is only deleted once the new ids are
+// committed. If the DB write fails after Stripe was changed, the switch is
+// undone; if even that fails, the local ids are cleared, so the coupon shows
+// as not in Stripe instead of pointing at dead objects.
+// ─────────────────────────────────────────
+async function updateCoupon(id, input) {
+  let before = null;
+  let created = null;
+  let retire = null;
+  let coupon;
+  try {
+    coupon = await inTransaction(async (db) => {
+      const current = await db.query('SELECT * FROM coupons WHERE id = $1 FOR UPDATE', [id]);
+      if (current.rows.length === 0) return null;
+      before = current.rows[0];
+      const updated = await db.query(
+        `UPDATE coupons
+         SET code=$1, description=$2, percent_off=$3, amount_off_cents=$4, valid_from=$5, valid_until=$6,
+             max_redemptions=$7, product_ids=$8, active=$9, updated_at=NOW()
+         WHERE id=$10 RETURNING *`,
+        [input.code, input.description, input.percent_off, input.amount_off_cents, input.valid_from, input.valid_until,
+          input.max_redemptions, input.product_ids, input.active, id]
+      );
+      const row = updated.rows[0];
+      if (stripeTerms(before) !== stripeTerms(row) || !before.stripe_promotion_code_id) {
+        await clearStripeIds(db, id);
+        // Expired or used-up coupons stay in the CMS for the record, without Stripe objects
+        const expired = row.valid_until && new Date(row.valid_until) <= new Date();
+        const usedUp = row.max_redemptions != null && row.times_redeemed >= row.max_redemptions;
+        if (!expired && !usedUp) created = await createStripeCoupon(db, row, { replacing: before });
+        if (before.stripe_promotion_code_id) retire = before;
+      } else {
+        await setStripeActive(db, row, isLive(row));
+      }
+      return loadCoupon(db, id);
+    });
+  } catch (e) {
+    const undone = created
+      ? await undoStripeCoupon(created, before).then(() => true, (undoError) => {
+        console.error(`[COUPONS] Undo for coupon ${id} failed:`, undoError.message);
+        return false;
+      })
+      : !e.stripeChanged;
+    if (!undone) await clearStripeIds(pool, id);
+    throw e;
+  }
+  if (retire) {
+    await retireStripeCoupon(retire)
+      .catch(e => console.error(`[COUPONS] Old Stripe coupon of ${retire.code} not removed:`, e.message));
+  }
+  return coupon;
+}
+
+async function deleteCoupon(id) {
+  return inTransaction(async (db) => {
+    const deleted = await db.query('DELETE FROM coupons WHERE id = $1 RETURNING *', [id]);
+    if (deleted.rows.length === 0) return false;
+    await retireStripeCoupon(deleted.rows[0]);
+    return true;
+  });
+}
+
+// ─────────────────────────────────────────
+// Checkout: code entered on our site → coupon row, or a German error
+// ─────────────────────────────────────────
+async function couponForCheckout(code, items) {
+  const result = await pool.query('SELECT * FROM coupons WHERE upper(code) = upper($1) LIMIT 1', [String(code || '').trim()]);
+  const coupon = result.rows[0];
+  if (!coupon || !isLive(coupon) || !coupon.stripe_active) throw new Error('Ungültiger oder abgelaufener Code');
+  if (coupon.product_ids.length > 0 && !items.some(i => coupon.product_ids.includes(i.product.id))) {
+    throw new Error('Der Code gilt nicht für diese Produkte');
+  }
+  return coupon;
+}
+
+// ─────────────────────────────────────────
+// checkout.session.completed: store code and discount on the order.
+// The order is only updated once (coupon_code IS NULL), so a webhook retry
+// does not count the redemption twice.
+// ─────────────────────────────────────────
+async function recordCouponUse(session) {
+  const discount = (session.discounts || [])[0];
+  const promotionCodeId = typeof discount?.promotion_code === 'string' ? discount.promotion_code : discount?.promotion_code?.id;
+  if (!promotionCodeId) return null;
+
+  let couponId = null;
+  let code = null;
+  const local = await pool.query('SELECT id, code FROM coupons WHERE stripe_promotion_code_id = $1 LIMIT 1', [promotionCodeId]);
+  if (local.rows.length > 0) {
+    ({ id: couponId, code } = local.rows[0]);
+  } else {
+    // Replaced by an edit meanwhile, or created in the Stripe dashboard
+    const promotionCode = await stripe.promotionCodes.retrieve(promotionCodeId);
+    code = promotionCode.code;
+    const byId = Number(promotionCode.metadata?.dimonte_coupon_id);
+    if (byId) couponId = (await loadCoupon(pool, byId))?.id || null;
+  }
+
+  const discountCents = session.total_details?.amount_discount || 0;
+  const result = await pool.query(
+    `WITH used AS (
+       UPDATE orders SET coupon_id = $1, coupon_code = $2, discount_cents = $3, amount_cents = COALESCE($4, amount_cents), updated_at = NOW()
+       WHERE stripe_session_id = $5 AND coupon_code IS NULL
+       RETURNING id
+     )
+     UPDATE coupons SET times_redeemed = times_redeemed + 1, updated_at = NOW()
+     WHERE id = $1 AND EXISTS (SELECT 1 FROM used)
+     RETURNING times_redeemed`,
+    [couponId, code, discountCents, session.amount_total ?? null, session.id]
+  );
+  console.log(`[COUPONS] ${code} used on session ${session.id} (−${discountCents} ct)`);
+  return { couponId, code, discountCents, timesRedeemed: result.rows[0]?.times_redeemed ?? null };
+}
+
+// ─────────────────────────────────────────
+// Scheduler: Stripe has no start date and does not know about our
+// deactivations, so the promotion code state follows LIVE_SQL
+// ─────────────────────────────────────────
+async function syncCouponActivity() {
+  const result = await pool.query(
+    `SELECT c.*, ${LIVE_SQL} AS live FROM coupons c
+     WHERE c.stripe_promotion_code_id IS NOT NULL AND c.stripe_active <> ${LIVE_SQL}`
+  );
+  for (const coupon of result.rows) {
+    await setStripeActive(pool, coupon, coupon.live)
+      .then(() => console.log(`[COUPONS] ${coupon.code} ${coupon.live ? 'activated' : 'deactivated'}`))
+      .catch(e => console.error(`[COUPONS] Sync of ${coupon.code} failed:`, e.message));
+  }
+  return result.rows;
+}
+
+function startCouponScheduler() {
+  if (timer) return;
+  const tick = () => syncCouponActivity().catch(e => console.error('[COUPONS] Tick failed:', e.message));
+  tick();
+  timer = setInterval(tick, SYNC_INTERVAL_MS);
+  console.log(`[COUPONS] Stripe sync every ${SYNC_INTERVAL_MS / 60000} min`);
+}
+
+function stopCouponScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  isLive,
+  normalizeCouponInput,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  couponForCheckout,
+  recordCouponUse,
+  syncCouponActivity,
+  startCouponScheduler,
+  stopCouponScheduler
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const pool = require('../db');
+const { getBookingLink } = require('./calcom');
+const { sendNextSessionLink } = require('./delivery');
+
+const CAL_WEBHOOK_SECRET = process.env.CAL_WEBHOOK_SECRET || '';
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Cal.com link with name/email prefilled, so the booking arrives under the
+// address that holds the credits
+function creditBookingLink(product, email, name) {
+  const base = product.cal_event_type_slug ? getBookingLink(product.cal_event_type_slug) : 'https://cal.com/dimontehypnose';
+  const params = new URLSearchParams({ email: normalizeEmail(email) });
+  if (name) params.set('name', name);
+  return `${base}?${params}`;
+}
+
+async function getBalance(db, email, productId) {
+  const result = await db.query(
+    'SELECT COALESCE(SUM(delta), 0)::int AS balance FROM credit_ledger WHERE customer_email = $1 AND product_id = $2',
+    [normalizeEmail(email), productId]
+  );
+  return result.rows[0].balance;
+}
+
+// Serializes ledger writes per client so two bookings cannot both take the last credit
+async function withClientLock(email, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`credits:${normalizeEmail(email)}`]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Purchase of a paket order item → session_credits × quantity.
+// Returns the new balance, or null if this item was granted before.
+async function grantPackageCredits({ email, item, product }) {
+  return withClientLock(email, async (db) => {
+    const granted = await db.query(
+      `INSERT INTO credit_ledger (customer_email, product_id, order_item_id, delta, reason)
+       VALUES ($1, $2, $3, $4, 'purchase')
+       ON CONFLICT DO NOTHING RETURNING id`,
+      [normalizeEmail(email), product.id, item.id, product.session_credits * item.quantity]
+    );
+    if (granted.rows.length === 0) return null;
+    return getBalance(db, email, product.id);
+  });
+}
+
+// One Cal.com booking → one credit. Returns { consumed, remaining }.
+async function consumeCredit({ email, productId, bookingUid }) {
+  return withClientLock(email, async (db) => {
+    const balance = await getBalance(db, email, productId);
+    if (balance <= 0) return { consumed: false, remaining: balance };
+    const used = await db.query(
+      `INSERT INTO credit_ledger (customer_email, product_id, delta, reason, cal_booking_uid)
+       VALUES ($1, $2, -1, 'booking', $3)
+       ON CONFLICT DO NOTHING RETURNING id`,
+      [normalizeEmail(email), productId, bookingUid]
+    );
+    return { consumed: used.rows.length > 0, remaining: used.rows.length > 0 ? balance - 1 : balance };
+  });
+}
+
+// Cancelled booking → the credit comes back (only if that booking used one)
+async function restoreCredit({ bookingUid }) {
+  const booking = await pool.query(
+    `SELECT customer_email, product_id FROM credit_ledger WHERE cal_booking_uid = $1 AND reason = 'booking' LIMIT 1`,
+    [bookingUid]
+  );
+  if (booking.rows.length === 0) return null;
+  const { customer_email, product_id } = booking.rows[0];
+  return withClientLock(customer_email, async (db) => {
+    const restored = await db.query(
+      `INSERT INTO credit_ledger (customer_email, product_id, delta, reason, cal_booking_uid)
+       VALUES ($1, $2, 1, 'booking-cancelled', $3)
+       ON CONFLICT DO NOTHING RETURNING id`,
+      [customer_email, product_id, bookingUid]
+    );
+    if (restored.rows.length === 0) return null;
+    return { email: customer_email, productId: product_id, remaining: await getBalance(db, customer_email, product_id) };
+  });
+}
+
+// Manual correction from the admin; the balance may not go below zero
+async function adjustCredits({ email, productId, delta, note, createdBy }) {
+  return withClientLock(email, async (db) => {
+    const balance = await getBalance(db, email, productId);
+    if (balance + delta < 0) throw new Error(`Nur noch ${balance} Sitzungen übrig`);
+    await db.query(
+      `INSERT INTO credit_ledger (customer_email, product_id, delta, reason, note, created_by)
+       VALUES ($1, $2, $3, 'adjustment', $4, $5)`,
+      [normalizeEmail(email), productId, delta, note, createdBy]
+    );
+    return balance + delta;
+  });
+}
+
+// Refund of a paket order item: the unused part of its credits is taken back
+// (sessions already booked stay booked). Returns the credits removed.
+async function revokePurchaseCredits({ orderItemId, note }) {
+  const purchase = await pool.query(
+    `SELECT customer_email, product_id, delta FROM credit_ledger WHERE order_item_id = $1 AND reason = 'purchase'`,
+    [orderItemId]
+  );
+  if (purchase.rows.length === 0) return 0;
+  const { customer_email, product_id, delta } = purchase.rows[0];
+  return withClientLock(customer_email, async (db) => {
+    const remove = Math.min(delta, await getBalance(db, customer_email, product_id));
+    if (remove <= 0) return 0;
+    const revoked = await db.query(
+      `INSERT INTO credit_ledger (customer_email, product_id, order_item_id, delta, reason, note)
+       VALUES ($1, $2, $3, $4, 'refund', $5)
+       ON CONFLICT DO NOTHING RETURNING id`,
+      [customer_email, product_id, orderItemId, -remove, note || '']
+    );
+    return revoked.rows.length > 0 ? remove : 0;
+  });
+}
+
+// Cal.com signs the raw body with HMAC-SHA256 (X-Cal-Signature-256, hex)
+function verifyCalSignature(rawBody, signature) {
+  if (!CAL_WEBHOOK_SECRET) return false;
+  const expected = Buffer.from(crypto.createHmac('sha256', CAL_WEBHOOK_SECRET).update(rawBody).digest('hex'));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// ─────────────────────────────────────────
+// Cal.com webhook: BOOKING_CREATED uses a credit of the package whose
+// event type was booked, BOOKING_CANCELLED gives it back.
+// (Reschedules keep the credit of the original booking.)
+// ─────────────────────────────────────────
+async function handleBookingEvent(triggerEvent, payload) {
+  const bookingUid = payload?.uid;
+  if (!bookingUid) return { handled: false };
+
+  if (triggerEvent === 'BOOKING_CANCELLED') {
+    const restored = await restoreCredit({ bookingUid });
+    if (restored) console.log(`[CREDITS] Booking ${bookingUid} cancelled, ${restored.email} has ${restored.remaining} left`);
+    return { handled: !!restored };
+  }
+  if (triggerEvent !== 'BOOKING_CREATED') return { handled: false };
+
+  const attendee = payload.attendees?.[0] || {};
+  const email = normalizeEmail(attendee.email);
+  const products = await pool.query(
+    `SELECT * FROM products WHERE type = 'paket' AND cal_event_type_slug = $1 ORDER BY id`,
+    [payload.type || '']
+  );
+  if (!email || products.rows.length === 0) return { handled: false };
+
+  // Webhook retry for a booking that already took its credit
+  const seen = await pool.query(`SELECT 1 FROM credit_ledger WHERE cal_booking_uid = $1 AND reason = 'booking' LIMIT 1`, [bookingUid]);
+  if (seen.rows.length > 0) return { handled: true, duplicate: true };
+
+  for (const product of products.rows) {
+    const { consumed, remaining } = await consumeCredit({ email, productId: product.id, bookingUid });
+    if (!consumed) continue;
+    console.log(`[CREDITS] ${email} booked ${product.name}, ${remaining} left`);
+    if (remaining > 0) {
+      await sendNextSessionLink({
+        to: email,
+        name: attendee.name || '',
+        productName: product.name,
+        bookingLink: creditBookingLink(product, email, attendee.name),
+        remaining
+      });
+    }
+    return { handled: true, productId: product.id, remaining };
+  }
+
+  console.warn(`[CREDITS] Booking ${bookingUid} by ${email} for ${payload.type}: no credits left`);
+  return { handled: false };
+}
+
+module.exports = {
+  normalizeEmail,
+  creditBookingLink,
+  getBalance,
+  grantPackageCredits,
+  consumeCredit,
+  restoreCredit,
+  adjustCredits,
+  revokePurchaseCredits,
+  verifyCalSignature,
+  handleBookingEvent
+};
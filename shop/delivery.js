@@ -1,9 +1,19 @@
 const https = require('https');
+const { BASE_URL, postUrl, adminUrl } = require('../content/urls');
 
 const RESEND_API_KEY = process.env.RESEND_API_KEY || '';
 const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@dimontehypnose.de';
 const FROM_NAME = process.env.FROM_NAME || 'Bianca DiMonte';
 
+// Contact form emails. Texts may use {name}, {email} and {subject};
+// "\n" in an env value becomes a line break. Set *_ENABLED=false to turn one off.
+const CONTACT_ACK_ENABLED = process.env.CONTACT_ACK_ENABLED !== 'false';
+const CONTACT_ACK_SUBJECT = process.env.CONTACT_ACK_SUBJECT || 'Deine Nachricht an DiMonte Hypnose';
+const CONTACT_ACK_TEXT = process.env.CONTACT_ACK_TEXT ||
+  'Hallo,\n\nvielen Dank für deine Nachricht. Ich habe sie erhalten und melde mich so bald wie möglich bei dir.\n\nHerzliche Grüße\nBianca DiMonte';
+const CONTACT_ALERT_ENABLED = process.env.CONTACT_ALERT_ENABLED !== 'false';
+const CONTACT_ALERT_SUBJECT = process.env.CONTACT_ALERT_SUBJECT || 'Neue Nachricht von {name}';
+
 function resendSend(payload) {
   return new Promise((resolve, reject) => {
     const body = JSON.stringify(payload);
@@ -30,8 +40,18 @@ function resendSend(payload) {
   });
 }
 
-// Confirmation email after purchase: sitzung/paket → booking link
-async function sendBookingConfirmation({ to, name, productName, bookingLink, amountEur }) {
+function escapeHtml(str) {
+  return String(str ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function fillTemplate(text, vars) {
+  return text.replace(/\\n/g, '\n').replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+}
+
+// Confirmation email after purchase: sitzung/paket → booking link.
+// credits > 1: package with several sessions, the link is for the first one.
+// attachments: e.g. the invoice PDF (shop/invoices.js), Resend format.
+async function sendBookingConfirmation({ to, name, productName, bookingLink, amountEur, credits = 1, attachments }) {
   if (!RESEND_API_KEY) {
     console.warn('[RESEND] No API key — skipping email');
     return;
@@ -51,13 +71,16 @@ async function sendBookingConfirmation({ to, name, productName, bookingLink, amo
       <p style="color:#5a3a25;line-height:1.7;margin:16px 0;">
         Deine Buchung für <strong>${productName}</strong> ist bestätigt (${amountEur}).
       </p>
+      ${credits > 1 ? `<p style="color:#5a3a25;line-height:1.7;margin:16px 0;">
+        Dein Paket umfasst <strong>${credits} Sitzungen</strong>. Nach jeder Buchung bekommst du automatisch den Link für die nächste Sitzung.
+      </p>` : ''}
       <p style="color:#5a3a25;line-height:1.7;margin:16px 0;">
         Bitte wähle jetzt deinen Wunschtermin:
       </p>
       <div style="text-align:center;margin:32px 0;">
         <a href="${bookingLink}"
            style="display:inline-block;background:#1b2d18;color:#fff6ea;padding:14px 32px;text-decoration:none;font-family:sans-serif;font-size:0.875rem;letter-spacing:0.1em;text-transform:uppercase;">
-          Termin wählen →
+          ${credits > 1 ? 'Ersten Termin wählen →' : 'Termin wählen →'}
         </a>
       </div>
       <p style="color:#8a6a55;font-size:0.8rem;line-height:1.7;margin:32px 0 0;border-top:1px solid rgba(42,16,5,0.08);padding-top:24px;">
@@ -72,14 +95,170 @@ async function sendBookingConfirmation({ to, name, productName, bookingLink, amo
     from: `${FROM_NAME} <${FROM_EMAIL}>`,
     to,
     subject: `Buchungsbestätigung: ${productName}`,
-    html
+    html,
+    ...(attachments?.length ? { attachments } : {})
   });
 
   console.log(`[RESEND] Booking confirmation sent to ${to}`);
 }
 
-// Confirmation email for download products
-async function sendDownloadConfirmation({ to, name, productName, downloadUrl, amountEur }) {
+// After a package session was booked: link for the next one
+async function sendNextSessionLink({ to, name, productName, bookingLink, remaining }) {
+  if (!RESEND_API_KEY) {
+    console.warn('[RESEND] No API key — skipping email');
+    return;
+  }
+
+  const html = `
+<!DOCTYPE html>
+<html lang="de">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#f8f5f0;font-family:Georgia,serif;">
+  <div style="max-width:600px;margin:40px auto;background:#fff;border:1px solid rgba(42,16,5,0.1);">
+    <div style="background:#2a1005;padding:32px 40px;">
+      <h1 style="margin:0;color:#fff6ea;font-size:1.4rem;font-weight:400;letter-spacing:0.05em;">DiMonte Hypnose</h1>
+    </div>
+    <div style="padding:40px;">
+      <h2 style="margin:0 0 8px;color:#2a1005;font-size:1.1rem;font-weight:400;">Danke für deine Buchung, ${escapeHtml(name || 'liebe Klientin')}!</h2>
+      <p style="color:#5a3a25;line-height:1.7;margin:16px 0;">
+        In deinem Paket <strong>${escapeHtml(productName)}</strong> ${remaining === 1 ? 'ist noch <strong>1 Sitzung</strong>' : `sind noch <strong>${remaining} Sitzungen</strong>`} offen.
+        Den nächsten Termin kannst du hier buchen, wann immer es für dich passt:
+      </p>
+      <div style="text-align:center;margin:32px 0;">
+        <a href="${bookingLink}"
+           style="display:inline-block;background:#1b2d18;color:#fff6ea;padding:14px 32px;text-decoration:none;font-family:sans-serif;font-size:0.875rem;letter-spacing:0.1em;text-transform:uppercase;">
+          Nächsten Termin wählen →
+        </a>
+      </div>
+      <p style="color:#8a6a55;font-size:0.8rem;line-height:1.7;margin:32px 0 0;border-top:1px solid rgba(42,16,5,0.08);padding-top:24px;">
+        Bei Fragen erreichst du mich unter <a href="mailto:contact@dimontehypnose.de" style="color:#1b2d18;">contact@dimontehypnose.de</a>
+      </p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  await resendSend({
+    from: `${FROM_NAME} <${FROM_EMAIL}>`,
+    to,
+    subject: `Deine nächste Sitzung: ${productName}`,
+    html
+  });
+
+  console.log(`[RESEND] Next session link sent to ${to} (${remaining} left)`);
+}
+
+function formatDateTime(date) {
+  if (!date) return '';
+  return new Date(date).toLocaleString('de-DE', { timeZone: 'Europe/Berlin', dateStyle: 'full', timeStyle: 'short' }) + ' Uhr';
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('de-DE', { timeZone: 'Europe/Berlin', dateStyle: 'long' });
+}
+
+// Event registration: status confirmed | waitlisted | promoted (moved up from the waitlist)
+async function sendEventConfirmation({ to, name, eventName, startsAt, status, position, joinUrl, cancelUrl }) {
+  if (!RESEND_API_KEY) {
+    console.warn('[RESEND] No API key — skipping email');
+    return;
+  }
+
+  const waitlisted = status === 'waitlisted';
+  const intro = {
+    confirmed: `Deine Anmeldung für <strong>${escapeHtml(eventName)}</strong> ist bestätigt.`,
+    promoted: `Gute Nachricht: Für <strong>${escapeHtml(eventName)}</strong> ist ein Platz frei geworden. Du bist von der Warteliste nachgerückt und dabei!`,
+    waitlisted: `<strong>${escapeHtml(eventName)}</strong> ist im Moment ausgebucht. Du stehst auf der Warteliste (Platz ${position}) und bekommst automatisch Bescheid, sobald ein Platz frei wird.`
+  }[status];
+
+  const html = `
+<!DOCTYPE html>
+<html lang="de">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#f8f5f0;font-family:Georgia,serif;">
+  <div style="max-width:600px;margin:40px auto;background:#fff;border:1px solid rgba(42,16,5,0.1);">
+    <div style="background:#2a1005;padding:32px 40px;">
+      <h1 style="margin:0;color:#fff6ea;font-size:1.4rem;font-weight:400;letter-spacing:0.05em;">DiMonte Hypnose</h1>
+    </div>
+    <div style="padding:40px;">
+      <h2 style="margin:0 0 8px;color:#2a1005;font-size:1.1rem;font-weight:400;">Hallo ${escapeHtml(name || 'du')}!</h2>
+      <p style="color:#5a3a25;line-height:1.7;margin:16px 0;">${intro}</p>
+      ${startsAt ? `<p style="color:#5a3a25;line-height:1.7;margin:16px 0;"><strong>Wann:</strong> ${formatDateTime(startsAt)}</p>` : ''}
+      ${!waitlisted && joinUrl ? `<div style="text-align:center;margin:32px 0;">
+        <a href="${joinUrl}"
+           style="display:inline-block;background:#1b2d18;color:#fff6ea;padding:14px 32px;text-decoration:none;font-family:sans-serif;font-size:0.875rem;letter-spacing:0.1em;text-transform:uppercase;">
+          Zum Event →
+        </a>
+      </div>` : ''}
+      <p style="color:#8a6a55;font-size:0.8rem;line-height:1.7;margin:32px 0 0;border-top:1px solid rgba(42,16,5,0.08);padding-top:24px;">
+        Du kannst doch nicht? <a href="${cancelUrl}" style="color:#1b2d18;">Hier abmelden</a> — dann rückt jemand von der Warteliste nach.
+      </p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  const subject = {
+    confirmed: `Anmeldung bestätigt: ${eventName}`,
+    promoted: `Du bist dabei: ${eventName}`,
+    waitlisted: `Warteliste: ${eventName}`
+  }[status];
+
+  await resendSend({
+    from: `${FROM_NAME} <${FROM_EMAIL}>`,
+    to,
+    subject,
+    html
+  });
+
+  console.log(`[RESEND] Event ${status} email sent to ${to}`);
+}
+
+// Reminder shortly before the event (confirmed participants only)
+async function sendEventReminder({ to, name, eventName, startsAt, joinUrl, cancelUrl }) {
+  if (!RESEND_API_KEY) return;
+
+  const html = `
+<!DOCTYPE html>
+<html lang="de">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#f8f5f0;font-family:Georgia,serif;">
+  <div style="max-width:600px;margin:40px auto;background:#fff;border:1px solid rgba(42,16,5,0.1);">
+    <div style="background:#2a1005;padding:32px 40px;">
+      <h1 style="margin:0;color:#fff6ea;font-size:1.4rem;font-weight:400;letter-spacing:0.05em;">DiMonte Hypnose</h1>
+    </div>
+    <div style="padding:40px;">
+      <h2 style="margin:0 0 8px;color:#2a1005;font-size:1.1rem;font-weight:400;">Bald ist es so weit, ${escapeHtml(name || 'du')}!</h2>
+      <p style="color:#5a3a25;line-height:1.7;margin:16px 0;">
+        Kleine Erinnerung an <strong>${escapeHtml(eventName)}</strong>: ${formatDateTime(startsAt)}.
+      </p>
+      ${joinUrl ? `<div style="text-align:center;margin:32px 0;">
+        <a href="${joinUrl}"
+           style="display:inline-block;background:#1b2d18;color:#fff6ea;padding:14px 32px;text-decoration:none;font-family:sans-serif;font-size:0.875rem;letter-spacing:0.1em;text-transform:uppercase;">
+          Zum Event →
+        </a>
+      </div>` : ''}
+      <p style="color:#8a6a55;font-size:0.8rem;line-height:1.7;margin:32px 0 0;border-top:1px solid rgba(42,16,5,0.08);padding-top:24px;">
+        Du kannst doch nicht? <a href="${cancelUrl}" style="color:#1b2d18;">Bitte hier abmelden</a>, damit dein Platz weitergegeben werden kann.
+      </p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  await resendSend({
+    from: `${FROM_NAME} <${FROM_EMAIL}>`,
+    to,
+    subject: `Erinnerung: ${eventName}`,
+    html
+  });
+
+  console.log(`[RESEND] Event reminder sent to ${to}`);
+}
+
+// Confirmation email for download products (also used when the admin reissues the link;
+// then without amountEur)
+async function sendDownloadConfirmation({ to, name, productName, downloadUrl, amountEur, expiresAt, maxDownloads, attachments }) {
   if (!RESEND_API_KEY) {
     console.warn('[RESEND] No API key — skipping email');
     return;
@@ -97,7 +276,7 @@ async function sendDownloadConfirmation({ to, name, productName, downloadUrl, am
     <div style="padding:40px;">
       <h2 style="margin:0 0 8px;color:#2a1005;font-size:1.1rem;font-weight:400;">Vielen Dank, ${name || 'liebe Klientin'}!</h2>
       <p style="color:#5a3a25;line-height:1.7;margin:16px 0;">
-        Dein Download <strong>${productName}</strong> ist bereit (${amountEur}).
+        Dein Download <strong>${productName}</strong> ist bereit${amountEur ? ` (${amountEur})` : ''}.
       </p>
       <div style="text-align:center;margin:32px 0;">
         <a href="${downloadUrl}"
@@ -105,6 +284,9 @@ async function sendDownloadConfirmation({ to, name, productName, downloadUrl, am
           Download starten →
         </a>
       </div>
+      ${expiresAt ? `<p style="color:#8a6a55;font-size:0.85rem;line-height:1.7;margin:16px 0;">
+        Der Link ist persönlich und gilt bis ${formatDateTime(expiresAt)}${maxDownloads ? ` für höchstens ${maxDownloads} Downloads` : ''}.
+      </p>` : ''}
       <p style="color:#8a6a55;font-size:0.8rem;line-height:1.7;margin:32px 0 0;border-top:1px solid rgba(42,16,5,0.08);padding-top:24px;">
         Bei Fragen erreichst du mich unter <a href="mailto:contact@dimontehypnose.de" style="color:#1b2d18;">contact@dimontehypnose.de</a>
       </p>
@@ -117,12 +299,150 @@ async function sendDownloadConfirmation({ to, name, productName, downloadUrl, am
     from: `${FROM_NAME} <${FROM_EMAIL}>`,
     to,
     subject: `Dein Download: ${productName}`,
-    html
+    html,
+    ...(attachments?.length ? { attachments } : {})
   });
 
   console.log(`[RESEND] Download confirmation sent to ${to}`);
 }
 
+// Gift voucher bought: codes and PDFs for the buyer, plus when (and to whom)
+// each one is sent. vouchers: [{ code, amountEur, recipientName, recipientEmail, sendOn }]
+async function sendVoucherPurchaseConfirmation({ to, name, vouchers, attachments }) {
+  if (!RESEND_API_KEY) {
+    console.warn('[RESEND] No API key — skipping email');
+    return;
+  }
+
+  const html = `
+<!DOCTYPE html>
+<html lang="de">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#f8f5f0;font-family:Georgia,serif;">
+  <div style="max-width:600px;margin:40px auto;background:#fff;border:1px solid rgba(42,16,5,0.1);">
+    <div style="background:#2a1005;padding:32px 40px;">
+      <h1 style="margin:0;color:#fff6ea;font-size:1.4rem;font-weight:400;letter-spacing:0.05em;">DiMonte Hypnose</h1>
+    </div>
+    <div style="padding:40px;">
+      <h2 style="margin:0 0 8px;color:#2a1005;font-size:1.1rem;font-weight:400;">Vielen Dank, ${escapeHtml(name || 'liebe Klientin')}!</h2>
+      <p style="color:#5a3a25;line-height:1.7;margin:16px 0;">
+        ${vouchers.length > 1 ? 'Deine Gutscheine sind' : 'Dein Gutschein ist'} bereit. Die PDFs zum Ausdrucken findest du im Anhang.
+      </p>
+      ${vouchers.map(v => `<p style="color:#5a3a25;line-height:1.7;margin:16px 0;padding:16px;background:#f8f5f0;">
+        <strong>${escapeHtml(v.amountEur)}</strong>${v.recipientName ? ` für ${escapeHtml(v.recipientName)}` : ''}<br>
+        Code: <strong style="font-family:monospace;font-size:1.1rem;">${escapeHtml(v.code)}</strong>
+        ${v.recipientEmail ? `<br>Geht per E-Mail an ${escapeHtml(v.recipientEmail)}${v.sendOn ? ` am ${escapeHtml(v.sendOn)}` : ''}.` : ''}
+      </p>`).join('')}
+      <p style="color:#8a6a55;font-size:0.8rem;line-height:1.7;margin:32px 0 0;border-top:1px solid rgba(42,16,5,0.08);padding-top:24px;">
+        Bei Fragen erreichst du mich unter <a href="mailto:contact@dimontehypnose.de" style="color:#1b2d18;">contact@dimontehypnose.de</a>
+      </p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  await resendSend({
+    from: `${FROM_NAME} <${FROM_EMAIL}>`,
+    to,
+    subject: vouchers.length > 1 ? 'Deine Gutscheine' : 'Dein Gutschein',
+    html,
+    ...(attachments?.length ? { attachments } : {})
+  });
+
+  console.log(`[RESEND] Voucher confirmation sent to ${to}`);
+}
+
+// The voucher itself, to the person it is for (on the date the buyer chose)
+async function sendVoucherToRecipient({ to, recipientName, fromName, amountEur, message, code, expiresAt, attachment }) {
+  if (!RESEND_API_KEY) {
+    console.warn('[RESEND] No API key — skipping email');
+    return;
+  }
+
+  const html = `
+<!DOCTYPE html>
+<html lang="de">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#f8f5f0;font-family:Georgia,serif;">
+  <div style="max-width:600px;margin:40px auto;background:#fff;border:1px solid rgba(42,16,5,0.1);">
+    <div style="background:#2a1005;padding:32px 40px;">
+      <h1 style="margin:0;color:#fff6ea;font-size:1.4rem;font-weight:400;letter-spacing:0.05em;">DiMonte Hypnose</h1>
+    </div>
+    <div style="padding:40px;">
+      <h2 style="margin:0 0 8px;color:#2a1005;font-size:1.1rem;font-weight:400;">${recipientName ? `Hallo ${escapeHtml(recipientName)},` : 'Hallo,'}</h2>
+      <p style="color:#5a3a25;line-height:1.7;margin:16px 0;">
+        ${fromName ? escapeHtml(fromName) : 'Jemand'} schenkt dir einen Gutschein über <strong>${escapeHtml(amountEur)}</strong> für DiMonte Hypnose.
+      </p>
+      ${message ? `<p style="color:#5a3a25;line-height:1.7;margin:16px 0;font-style:italic;border-left:3px solid #1b2d18;padding-left:16px;">${escapeHtml(message).replace(/\n/g, '<br>')}</p>` : ''}
+      <p style="color:#5a3a25;line-height:1.7;margin:16px 0;text-align:center;">
+        Dein Code:<br><strong style="font-family:monospace;font-size:1.3rem;">${escapeHtml(code)}</strong>
+      </p>
+      <p style="color:#8a6a55;font-size:0.85rem;line-height:1.7;margin:16px 0;">
+        Einfach beim Bezahlen auf <a href="${BASE_URL}" style="color:#1b2d18;">dimontehypnose.de</a> eingeben – auch in Teilbeträgen.
+        Gültig bis ${formatDate(expiresAt)}. Den Gutschein zum Ausdrucken findest du im Anhang.
+      </p>
+      <p style="color:#8a6a55;font-size:0.8rem;line-height:1.7;margin:32px 0 0;border-top:1px solid rgba(42,16,5,0.08);padding-top:24px;">
+        Bei Fragen erreichst du mich unter <a href="mailto:contact@dimontehypnose.de" style="color:#1b2d18;">contact@dimontehypnose.de</a>
+      </p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  await resendSend({
+    from: `${FROM_NAME} <${FROM_EMAIL}>`,
+    to,
+    subject: fromName ? `Ein Gutschein von ${fromName}` : 'Ein Gutschein für dich',
+    html,
+    attachments: [attachment]
+  });
+
+  console.log(`[RESEND] Voucher ${code} sent to ${to}`);
+}
+
+// Invoice or Stornorechnung on its own: orders without a confirmation
+// email to carry it, refunds, admin resend
+async function sendInvoiceEmail({ to, name, number, cancellation = false, attachment }) {
+  if (!RESEND_API_KEY) {
+    console.warn('[RESEND] No API key — skipping email');
+    return;
+  }
+
+  const html = `
+<!DOCTYPE html>
+<html lang="de">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#f8f5f0;font-family:Georgia,serif;">
+  <div style="max-width:600px;margin:40px auto;background:#fff;border:1px solid rgba(42,16,5,0.1);">
+    <div style="background:#2a1005;padding:32px 40px;">
+      <h1 style="margin:0;color:#fff6ea;font-size:1.4rem;font-weight:400;letter-spacing:0.05em;">DiMonte Hypnose</h1>
+    </div>
+    <div style="padding:40px;">
+      <h2 style="margin:0 0 8px;color:#2a1005;font-size:1.1rem;font-weight:400;">Hallo ${escapeHtml(name || 'liebe Klientin')},</h2>
+      <p style="color:#5a3a25;line-height:1.7;margin:16px 0;">
+        ${cancellation
+          ? `anbei findest du die Stornorechnung <strong>${escapeHtml(number)}</strong> zu deiner Erstattung.`
+          : `anbei findest du deine Rechnung <strong>${escapeHtml(number)}</strong>.`}
+      </p>
+      <p style="color:#8a6a55;font-size:0.8rem;line-height:1.7;margin:32px 0 0;border-top:1px solid rgba(42,16,5,0.08);padding-top:24px;">
+        Bei Fragen erreichst du mich unter <a href="mailto:contact@dimontehypnose.de" style="color:#1b2d18;">contact@dimontehypnose.de</a>
+      </p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  await resendSend({
+    from: `${FROM_NAME} <${FROM_EMAIL}>`,
+    to,
+    subject: cancellation ? `Deine Stornorechnung ${number}` : `Deine Rechnung ${number}`,
+    html,
+    attachments: [attachment]
+  });
+
+  console.log(`[RESEND] ${cancellation ? 'Cancellation invoice' : 'Invoice'} ${number} sent to ${to}`);
+}
+
 // Notification to Bianca when new order comes in
 async function sendAdminNotification({ productName, customerName, customerEmail, amountEur }) {
   if (!RESEND_API_KEY) return;
@@ -143,13 +463,113 @@ async function sendAdminNotification({ productName, customerName, customerEmail,
   });
 }
 
-// Reply to contact message from admin panel
-async function sendMessageReply({ to, subject, body }) {
+// Alert to Bianca when a customer disputes a payment (chargeback)
+async function sendDisputeAlert({ orderId, customerEmail, amountEur, reason }) {
+  if (!RESEND_API_KEY) return;
+
+  const adminEmail = process.env.ADMIN_NOTIFY_EMAIL || 'contact@dimontehypnose.de';
+
+  await resendSend({
+    from: `${FROM_NAME} <${FROM_EMAIL}>`,
+    to: adminEmail,
+    subject: `Zahlung angefochten: Bestellung #${orderId}`,
+    html: `<p>Eine Zahlung wurde angefochten. Download-Links und offenes Paket-Guthaben sind gesperrt.
+           Die Antwort an die Bank läuft über das Stripe-Dashboard.</p>
+           <ul>
+             <li><strong>Bestellung:</strong> #${orderId}</li>
+             <li><strong>Betrag:</strong> ${amountEur}</li>
+             <li><strong>Kunde:</strong> ${escapeHtml(customerEmail)}</li>
+             <li><strong>Grund:</strong> ${escapeHtml(reason || '—')}</li>
+           </ul>
+           <p><a href="${adminUrl('bestellungen')}">Im Admin öffnen</a></p>`
+  });
+
+  console.log(`[RESEND] Dispute alert sent for order ${orderId}`);
+}
+
+// Notification to Bianca when a scheduled post goes live
+async function sendPostPublishedNotification({ title, slug }) {
+  if (!RESEND_API_KEY) return;
+
+  const adminEmail = process.env.ADMIN_NOTIFY_EMAIL || 'contact@dimontehypnose.de';
+  const url = postUrl(slug);
+
+  await resendSend({
+    from: `${FROM_NAME} <${FROM_EMAIL}>`,
+    to: adminEmail,
+    subject: `Veröffentlicht: ${title}`,
+    html: `<p>Dein geplanter Beitrag ist jetzt online:</p>
+           <p><strong>${title}</strong><br><a href="${url}">${url}</a></p>`
+  });
+
+  console.log(`[RESEND] Post published notification sent for ${slug}`);
+}
+
+// Answer to a contact message. replyTo routes the customer's answer back
+// into the thread (see messages/threads.js). Returns { from, id }; throws
+// if nothing went out, so the admin never sees an unsent reply as sent.
+async function sendMessageReply({ to, subject, body, replyTo }) {
+  const from = `${FROM_NAME} <${FROM_EMAIL}>`;
+  if (!RESEND_API_KEY) throw new Error('E-Mail-Versand ist nicht eingerichtet (RESEND_API_KEY fehlt)');
+
+  const html = `
+<!DOCTYPE html>
+<html lang="de">
+<head><meta charset="UTF-8"></head>
+<body style="margin:0;padding:0;background:#f8f5f0;font-family:Georgia,serif;">
+  <div style="max-width:600px;margin:40px auto;background:#fff;border:1px solid rgba(42,16,5,0.1);">
+    <div style="background:#2a1005;padding:32px 40px;">
+      <h1 style="margin:0;color:#fff6ea;font-size:1.4rem;font-weight:400;letter-spacing:0.05em;">DiMonte Hypnose</h1>
+    </div>
+    <div style="padding:40px;">
+      <div style="color:#2a1005;line-height:1.8;white-space:pre-wrap;">${escapeHtml(body)}</div>
+      <p style="color:#8a6a55;font-size:0.8rem;margin:32px 0 0;border-top:1px solid rgba(42,16,5,0.08);padding-top:24px;">
+        Bianca DiMonte · <a href="https://dimontehypnose.de" style="color:#1b2d18;">dimontehypnose.de</a>
+      </p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  const result = await resendSend({
+    from,
+    to,
+    subject,
+    html,
+    text: String(body),
+    ...(replyTo ? { reply_to: replyTo } : {})
+  });
+  if (result.status >= 300) throw new Error(`E-Mail-Versand fehlgeschlagen (${result.status})`);
+
+  // Sent either way; the id is only kept for reference
+  let id = null;
+  try {
+    id = JSON.parse(result.data).id || null;
+  } catch (e) {
+    console.warn(`[RESEND] Reply to ${to} sent, but the response could not be read:`, e.message);
+  }
+  console.log(`[RESEND] Reply sent to ${to}`);
+  return { from, id };
+}
+
+// Automatic acknowledgement to whoever used the contact form. Fixed text
+// only: the address is unverified, so the message itself is never echoed,
+// and a name that carries a link or domain (for a custom {name} template)
+// gets no acknowledgement at all.
+// replyTo (thread address) lets an answer to this mail land in the same thread.
+async function sendContactAcknowledgement({ to, name, subject, replyTo }) {
+  if (!CONTACT_ACK_ENABLED) return;
+  if (/https?:\/\/|www\.|[\p{L}\p{N}-]+\.[a-z]{2,}\b/iu.test(`${name} ${subject}`)) {
+    console.warn('[RESEND] Link in name or subject — skipping contact acknowledgement');
+    return;
+  }
   if (!RESEND_API_KEY) {
-    console.warn('[RESEND] No API key — skipping reply');
+    console.warn('[RESEND] No API key — skipping contact acknowledgement');
     return;
   }
 
+  const vars = { name, email: to, subject: subject || 'Ihre Anfrage' };
+  const text = fillTemplate(CONTACT_ACK_TEXT, vars);
   const html = `
 <!DOCTYPE html>
 <html lang="de">
@@ -160,7 +580,7 @@ async function sendMessageReply({ to, subject, body }) {
       <h1 style="margin:0;color:#fff6ea;font-size:1.4rem;font-weight:400;letter-spacing:0.05em;">DiMonte Hypnose</h1>
     </div>
     <div style="padding:40px;">
-      <div style="color:#2a1005;line-height:1.8;white-space:pre-wrap;">${body}</div>
+      <div style="color:#2a1005;line-height:1.8;white-space:pre-wrap;">${escapeHtml(text)}</div>
       <p style="color:#8a6a55;font-size:0.8rem;margin:32px 0 0;border-top:1px solid rgba(42,16,5,0.08);padding-top:24px;">
         Bianca DiMonte · <a href="https://dimontehypnose.de" style="color:#1b2d18;">dimontehypnose.de</a>
       </p>
@@ -172,16 +592,52 @@ async function sendMessageReply({ to, subject, body }) {
   await resendSend({
     from: `${FROM_NAME} <${FROM_EMAIL}>`,
     to,
-    subject,
-    html
+    subject: fillTemplate(CONTACT_ACK_SUBJECT, vars),
+    html,
+    text,
+    ...(replyTo ? { reply_to: replyTo } : {})
   });
 
-  console.log(`[RESEND] Reply sent to ${to}`);
+  console.log(`[RESEND] Contact acknowledgement sent to ${to}`);
+}
+
+// Alert to Bianca with a link straight to the message in the admin
+async function sendContactAlert({ id, name, email, subject, body }) {
+  if (!CONTACT_ALERT_ENABLED || !RESEND_API_KEY) return;
+
+  const adminEmail = process.env.ADMIN_NOTIFY_EMAIL || 'contact@dimontehypnose.de';
+  const url = adminUrl(`nachrichten/${id}`);
+
+  await resendSend({
+    from: `${FROM_NAME} <${FROM_EMAIL}>`,
+    to: adminEmail,
+    subject: fillTemplate(CONTACT_ALERT_SUBJECT, { name, email, subject: subject || '' }),
+    html: `<p>Neue Nachricht über das Kontaktformular:</p>
+           <ul>
+             <li><strong>Name:</strong> ${escapeHtml(name)}</li>
+             <li><strong>E-Mail:</strong> ${escapeHtml(email)}</li>
+             ${subject ? `<li><strong>Betreff:</strong> ${escapeHtml(subject)}</li>` : ''}
+           </ul>
+           <p style="white-space:pre-wrap;">${escapeHtml(body)}</p>
+           <p><a href="${url}">Im Admin öffnen</a></p>`
+  });
+
+  console.log(`[RESEND] Contact alert sent for message ${id}`);
 }
 
 module.exports = {
   sendBookingConfirmation,
+  sendNextSessionLink,
   sendDownloadConfirmation,
+  sendInvoiceEmail,
+  sendVoucherPurchaseConfirmation,
+  sendVoucherToRecipient,
+  sendEventConfirmation,
+  sendEventReminder,
   sendAdminNotification,
-  sendMessageReply
+  sendDisputeAlert,
+  sendPostPublishedNotification,
+  sendMessageReply,
+  sendContactAcknowledgement,
+  sendContactAlert
 };
\ No newline at end of file
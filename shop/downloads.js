@@ -0,0 +1,206 @@
+const path = require('path');
+const crypto = require('crypto');
+const pool = require('../db');
+const { signToken, verifyToken } = require('../tokens');
+const { serverUrl } = require('../content/urls');
+const { createLocalStorage } = require('../media/storage');
+
+const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || path.join(__dirname, '..', 'downloads');
+const LINK_DAYS = parseInt(process.env.DOWNLOAD_LINK_DAYS || 14);
+const MAX_DOWNLOADS = parseInt(process.env.DOWNLOAD_MAX_COUNT || 5);
+// How long after a counted download the same IP may resume it for free
+const RESUME_MINUTES = parseInt(process.env.DOWNLOAD_RESUME_MINUTES || 60);
+
+// Never mounted as static folder: files only leave through the download route
+const downloadStorage = createLocalStorage(DOWNLOAD_DIR, null);
+
+// ─────────────────────────────────────────
+// Links: signed grant id; expiry, count and revocation live in the DB
+// ─────────────────────────────────────────
+function downloadUrl(grantId) {
+  return serverUrl(`/api/shop/downloads/${encodeURIComponent(signToken('download', [grantId]))}`);
+}
+
+function resolveDownloadToken(token) {
+  const fields = verifyToken('download', token);
+  const id = fields ? Number(fields[0]) : NaN;
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// ─────────────────────────────────────────
+// Product files (admin upload)
+// ─────────────────────────────────────────
+function fileKey(productId, originalName) {
+  const ext = path.extname(originalName || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `products/${productId}/${crypto.randomBytes(8).toString('hex')}${ext}`;
+}
+
+// Stores the file and points the product at it; the previous file is removed
+async function storeProductFile(productId, { buffer, originalName, mimeType }) {
+  const key = fileKey(productId, originalName);
+  await downloadStorage.put(key, buffer);
+  const previous = await pool.query('SELECT download_key FROM products WHERE id = $1', [productId]);
+  const result = await pool.query(
+    `UPDATE products SET download_key = $1, download_filename = $2, download_mime_type = $3, download_size_bytes = $4, updated_at = NOW()
+     WHERE id = $5 RETURNING *`,
+    [key, path.basename(originalName || 'download'), mimeType || 'application/octet-stream', buffer.length, productId]
+  );
+  if (result.rows.length === 0) {
+    await downloadStorage.remove(key);
+    return null;
+  }
+  await removeProductFile(previous.rows[0]?.download_key);
+  console.log(`[DOWNLOADS] Stored ${key} for product ${productId}`);
+  return result.rows[0];
+}
+
+async function removeProductFile(key) {
+  if (!key) return;
+  await downloadStorage.remove(key).catch(e => console.error(`[DOWNLOADS] Could not remove ${key}:`, e.message));
+}
+
+// ─────────────────────────────────────────
+// Grants
+// ─────────────────────────────────────────
+async function createGrant(db, { orderItemId, productId, email, createdBy = null }) {
+  const result = await db.query(
+    `INSERT INTO download_grants (order_item_id, product_id, customer_email, expires_at, max_downloads, created_by)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5, $6) RETURNING *`,
+    [orderItemId, productId, email, LINK_DAYS, MAX_DOWNLOADS, createdBy]
+  );
+  return result.rows[0];
+}
+
+// Checkout delivery: a webhook retry reuses the grant of the first attempt
+async function grantForItem(item, email) {
+  const existing = await pool.query(
+    `SELECT * FROM download_grants
+     WHERE order_item_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY id DESC LIMIT 1`,
+    [item.id]
+  );
+  if (existing.rows.length > 0) return existing.rows[0];
+  return createGrant(pool, { orderItemId: item.id, productId: item.product_id, email });
+}
+
+async function revokeGrants(db, orderItemId, revokedBy) {
+  const result = await db.query(
+    `UPDATE download_grants SET revoked_at = NOW(), revoked_by = $2
+     WHERE order_item_id = $1 AND revoked_at IS NULL RETURNING id`,
+    [orderItemId, revokedBy]
+  );
+  return result.rows.length;
+}
+
+// Admin: old links stop working, the new one starts with a fresh count
+async function reissueGrant(orderItemId, createdBy) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const found = await client.query(
+      `SELECT i.id, i.product_id, i.product_name, o.customer_email, o.customer_name, p.download_key
+       FROM order_items i JOIN orders o ON o.id = i.order_id LEFT JOIN products p ON p.id = i.product_id
+       WHERE i.id = $1 AND i.product_type = 'download' FOR UPDATE OF i`,
+      [orderItemId]
+    );
+    if (found.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const item = found.rows[0];
+    if (!item.customer_email) throw new Error('Keine Kunden-E-Mail zu dieser Bestellung');
+    if (!item.download_key) throw new Error('Zum Produkt ist keine Datei hochgeladen');
+    await revokeGrants(client, orderItemId, createdBy);
+    const grant = await createGrant(client, { orderItemId, productId: item.product_id, email: item.customer_email, createdBy });
+    await client.query('COMMIT');
+    console.log(`[DOWNLOADS] Reissued grant ${grant.id} for order item ${orderItemId}`);
+    return { grant, item };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// ─────────────────────────────────────────
+// One access → { outcome, grant, product, use }. Every call is logged; `use`
+// (grant + log entry, null if nothing was counted) is for releaseGrantUse.
+// `peek` (HEAD) sends no file and never counts. `resume` (a Range request
+// past byte 0) is free only while a download from the same IP is in
+// progress: a counted one in the last RESUME_MINUTES. The limit applies to
+// counted downloads only, so the last allowed one can still be resumed; an
+// exhausted grant serves nothing else.
+// ─────────────────────────────────────────
+async function useGrant(grantId, { resume = false, peek = false, ipHash = null, userAgent = '' } = {}) {
+  const used = await pool.query(
+    `WITH running AS (
+       SELECT $2::boolean OR ($3::boolean AND EXISTS (
+         SELECT 1 FROM download_access_log
+         WHERE grant_id = $1 AND outcome = 'ok' AND counted AND ip_hash = $4
+           AND created_at > NOW() - make_interval(mins => $5)
+       )) AS free
+     )
+     UPDATE download_grants g SET download_count = g.download_count + CASE WHEN running.free THEN 0 ELSE 1 END
+     FROM running
+     WHERE g.id = $1 AND g.revoked_at IS NULL AND g.expires_at > NOW()
+       AND (running.free OR g.download_count < g.max_downloads)
+     RETURNING g.*, NOT running.free AS counted`,
+    [grantId, peek, resume, ipHash, RESUME_MINUTES]
+  );
+
+  let outcome;
+  let grant = used.rows[0];
+  let product = null;
+  let counted = false;
+  if (grant) {
+    counted = grant.counted;
+    const found = await pool.query('SELECT * FROM products WHERE id = $1', [grant.product_id]);
+    product = found.rows[0] || null;
+    outcome = product?.download_key ? 'ok' : 'missing';
+    // Nothing to hand out: the download must not count
+    if (outcome === 'missing' && counted) {
+      await pool.query('UPDATE download_grants SET download_count = download_count - 1 WHERE id = $1', [grantId]);
+      counted = false;
+    }
+  } else {
+    const found = await pool.query('SELECT * FROM download_grants WHERE id = $1', [grantId]);
+    grant = found.rows[0];
+    if (!grant) return { outcome: 'invalid' };
+    outcome = grant.revoked_at ? 'revoked' : new Date(grant.expires_at) <= new Date() ? 'expired' : 'exhausted';
+  }
+
+  const logged = await pool.query(
+    'INSERT INTO download_access_log (grant_id, outcome, ip_hash, user_agent, counted) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+    [grantId, outcome, ipHash, String(userAgent || '').slice(0, 300), counted]
+  );
+  if (outcome !== 'ok') console.warn(`[DOWNLOADS] Grant ${grantId}: ${outcome}`);
+  return { outcome, grant, product, use: counted ? { grantId, logId: logged.rows[0].id } : null };
+}
+
+// The file could not be sent (e.g. gone from disk): give the download back
+// and log the access as missing, so it also opens no resume window
+async function releaseGrantUse(use) {
+  if (!use) return;
+  await pool.query('UPDATE download_grants SET download_count = GREATEST(0, download_count - 1) WHERE id = $1', [use.grantId]);
+  await pool.query(`UPDATE download_access_log SET outcome = 'missing', counted = false WHERE id = $1`, [use.logId]);
+  console.warn(`[DOWNLOADS] Grant ${use.grantId}: missing`);
+}
+
+function productFilePath(product) {
+  return product.download_key ? downloadStorage.path(product.download_key) : null;
+}
+
+module.exports = {
+  downloadStorage,
+  downloadUrl,
+  resolveDownloadToken,
+  storeProductFile,
+  removeProductFile,
+  grantForItem,
+  revokeGrants,
+  reissueGrant,
+  useGrant,
+  releaseGrantUse,
+  productFilePath
+};
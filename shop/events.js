@@ -0,0 +1,244 @@
+const pool = require('../db');
+const { signToken, verifyToken } = require('../tokens');
+const { serverUrl } = require('../content/urls');
+const { sendEventConfirmation, sendEventReminder } = require('./delivery');
+
+const REMINDER_HOURS = parseInt(process.env.EVENT_REMINDER_HOURS || 24);
+const REMINDER_INTERVAL_MS = 5 * 60 * 1000;
+
+let timer = null;
+
+// ─────────────────────────────────────────
+// Cancel links: signed registration id, no DB row needed
+// ─────────────────────────────────────────
+function cancelUrl(registrationId) {
+  const token = signToken('event-cancel', [registrationId]);
+  return serverUrl(`/api/shop/events/cancel?token=${encodeURIComponent(token)}`);
+}
+
+function resolveCancelToken(token) {
+  const fields = verifyToken('event-cancel', token);
+  const id = fields ? Number(fields[0]) : NaN;
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// One transaction per event at a time, so capacity checks cannot race
+async function withEventLock(productId, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`event:${productId}`]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function countConfirmed(db, productId) {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS count FROM event_registrations WHERE product_id = $1 AND status = 'confirmed'`,
+    [productId]
+  );
+  return result.rows[0].count;
+}
+
+async function waitlistPosition(db, registration) {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS position FROM event_registrations
+     WHERE product_id = $1 AND status = 'waitlisted' AND (created_at, id) <= ($2, $3)`,
+    [registration.product_id, registration.created_at, registration.id]
+  );
+  return result.rows[0].position;
+}
+
+// Move the oldest waitlisted people up into free places
+async function promoteFromWaitlist(db, product) {
+  const free = product.event_capacity == null
+    ? null
+    : product.event_capacity - await countConfirmed(db, product.id);
+  if (free !== null && free <= 0) return [];
+  const result = await db.query(
+    `UPDATE event_registrations SET status = 'confirmed', promoted_at = NOW()
+     WHERE id IN (
+       SELECT id FROM event_registrations
+       WHERE product_id = $1 AND status = 'waitlisted'
+       ORDER BY created_at, id
+       LIMIT $2
+     )
+     RETURNING *`,
+    [product.id, free]
+  );
+  return result.rows;
+}
+
+function emailFor(product, registration, status, position) {
+  return sendEventConfirmation({
+    to: registration.email,
+    name: registration.name,
+    eventName: product.name,
+    startsAt: product.event_starts_at,
+    status,
+    position,
+    joinUrl: product.event_join_url,
+    cancelUrl: cancelUrl(registration.id)
+  }).catch(e => console.error(`[EVENTS] Email for registration ${registration.id} failed:`, e.message));
+}
+
+// ─────────────────────────────────────────
+// Register for a free event → { registration, position, existing }
+// ─────────────────────────────────────────
+async function registerForEvent(product, { name, email, ipHash = null }) {
+  if (product.event_starts_at && new Date(product.event_starts_at) <= new Date()) {
+    throw new Error('Die Anmeldung ist geschlossen');
+  }
+
+  const result = await withEventLock(product.id, async (db) => {
+    const existing = await db.query(
+      `SELECT * FROM event_registrations WHERE product_id = $1 AND lower(email) = lower($2) AND status <> 'cancelled' LIMIT 1`,
+      [product.id, email]
+    );
+    if (existing.rows.length > 0) {
+      const registration = existing.rows[0];
+      const position = registration.status === 'waitlisted' ? await waitlistPosition(db, registration) : null;
+      return { registration, position, existing: true };
+    }
+
+    const full = product.event_capacity != null && await countConfirmed(db, product.id) >= product.event_capacity;
+    const inserted = await db.query(
+      `INSERT INTO event_registrations (product_id, name, email, status, ip_hash)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [product.id, name, email, full ? 'waitlisted' : 'confirmed', ipHash]
+    );
+    const registration = inserted.rows[0];
+    const position = full ? await waitlistPosition(db, registration) : null;
+    return { registration, position, existing: false };
+  });
+
+  if (!result.existing) {
+    console.log(`[EVENTS] ${result.registration.status}: ${email} for ${product.name}`);
+    await emailFor(product, result.registration, result.registration.status, result.position);
+  }
+  return result;
+}
+
+// ─────────────────────────────────────────
+// Cancel (participant link or admin) → { registration, promoted, alreadyCancelled }
+// ─────────────────────────────────────────
+async function cancelRegistration(registrationId) {
+  const found = await pool.query(
+    `SELECT r.product_id, p.* FROM event_registrations r JOIN products p ON p.id = r.product_id WHERE r.id = $1`,
+    [registrationId]
+  );
+  if (found.rows.length === 0) return null;
+  const product = found.rows[0];
+
+  const result = await withEventLock(product.id, async (db) => {
+    const cancelled = await db.query(
+      `UPDATE event_registrations r SET status = 'cancelled', cancelled_at = NOW()
+       FROM event_registrations old
+       WHERE r.id = $1 AND old.id = r.id AND r.status <> 'cancelled'
+       RETURNING r.*, old.status AS previous_status`,
+      [registrationId]
+    );
+    if (cancelled.rows.length === 0) {
+      const current = await db.query('SELECT * FROM event_registrations WHERE id = $1', [registrationId]);
+      return { registration: current.rows[0], promoted: [], alreadyCancelled: true };
+    }
+    const registration = cancelled.rows[0];
+    const promoted = registration.previous_status === 'confirmed' ? await promoteFromWaitlist(db, product) : [];
+    return { registration, promoted, alreadyCancelled: false };
+  });
+
+  if (!result.alreadyCancelled) {
+    console.log(`[EVENTS] Cancelled registration ${registrationId}, ${result.promoted.length} moved up`);
+    for (const reg of result.promoted) await emailFor(product, reg, 'promoted');
+  }
+  return { ...result, product };
+}
+
+// After the admin raised the capacity (or removed it)
+async function fillFromWaitlist(productId) {
+  const found = await pool.query(`SELECT * FROM products WHERE id = $1 AND type = 'event'`, [productId]);
+  if (found.rows.length === 0) return [];
+  const product = found.rows[0];
+  const promoted = await withEventLock(product.id, db => promoteFromWaitlist(db, product));
+  for (const reg of promoted) await emailFor(product, reg, 'promoted');
+  return promoted;
+}
+
+// Public availability per event product id → { capacity, confirmed, waitlisted, spots_left }
+async function eventAvailability(productIds) {
+  if (productIds.length === 0) return new Map();
+  const result = await pool.query(
+    `SELECT p.id, p.event_capacity,
+            COUNT(r.id) FILTER (WHERE r.status = 'confirmed')::int AS confirmed,
+            COUNT(r.id) FILTER (WHERE r.status = 'waitlisted')::int AS waitlisted
+     FROM products p LEFT JOIN event_registrations r ON r.product_id = p.id
+     WHERE p.id = ANY($1::int[])
+     GROUP BY p.id`,
+    [productIds]
+  );
+  return new Map(result.rows.map(r => [r.id, {
+    capacity: r.event_capacity,
+    confirmed: r.confirmed,
+    waitlisted: r.waitlisted,
+    spots_left: r.event_capacity == null ? null : Math.max(0, r.event_capacity - r.confirmed)
+  }]));
+}
+
+// ─────────────────────────────────────────
+// Reminders: claimed with one UPDATE (like the post scheduler), then sent
+// ─────────────────────────────────────────
+async function sendDueReminders() {
+  const result = await pool.query(
+    `UPDATE event_registrations r SET reminder_sent_at = NOW()
+     FROM products p
+     WHERE p.id = r.product_id
+       AND r.status = 'confirmed' AND r.reminder_sent_at IS NULL
+       AND p.event_starts_at > NOW()
+       AND p.event_starts_at <= NOW() + make_interval(hours => $1)
+     RETURNING r.id, r.name, r.email, p.name AS event_name, p.event_starts_at, p.event_join_url`,
+    [REMINDER_HOURS]
+  );
+  for (const reg of result.rows) {
+    await sendEventReminder({
+      to: reg.email,
+      name: reg.name,
+      eventName: reg.event_name,
+      startsAt: reg.event_starts_at,
+      joinUrl: reg.event_join_url,
+      cancelUrl: cancelUrl(reg.id)
+    }).catch(e => console.error(`[EVENTS] Reminder for registration ${reg.id} failed:`, e.message));
+  }
+  return result.rows;
+}
+
+function startEventReminders() {
+  if (timer) return;
+  const tick = () => sendDueReminders().catch(e => console.error('[EVENTS] Reminder tick failed:', e.message));
+  tick();
+  timer = setInterval(tick, REMINDER_INTERVAL_MS);
+  console.log(`[EVENTS] Reminders ${REMINDER_HOURS}h before, checked every ${REMINDER_INTERVAL_MS / 60000} min`);
+}
+
+function stopEventReminders() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  cancelUrl,
+  resolveCancelToken,
+  registerForEvent,
+  cancelRegistration,
+  fillFromWaitlist,
+  eventAvailability,
+  sendDueReminders,
+  startEventReminders,
+  stopEventReminders
+};
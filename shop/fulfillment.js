@@ -0,0 +1,152 @@
+const pool = require('../db');
+const { getBookingLink } = require('./calcom');
+const { grantPackageCredits, creditBookingLink } = require('./credits');
+const { grantForItem, downloadUrl } = require('./downloads');
+const { ensureInvoice, invoiceAttachment, markInvoiceEmailed } = require('./invoices');
+const { issueVouchers, voucherAttachment, sendDueVoucherEmails } = require('./vouchers');
+const { sendBookingConfirmation, sendDownloadConfirmation, sendVoucherPurchaseConfirmation, sendInvoiceEmail, sendAdminNotification } = require('./delivery');
+
+function formatEur(cents) {
+  return `€${(cents / 100).toFixed(2).replace('.', ',')}`;
+}
+
+function itemLabel(item) {
+  return item.quantity > 1 ? `${item.quantity}× ${item.product_name}` : item.product_name;
+}
+
+// ─────────────────────────────────────────
+// Delivery after checkout.session.completed: one email per order item
+// (booking link or download), then one notification to Bianca.
+// delivered_at is set per item after its email went out and
+// admin_notified_at after the notification, so a retry of the
+// stripe-event job only sends what is still missing. The invoice is
+// issued first and rides along with the first email (emailed_at);
+// if no item sends one, it goes out on its own.
+// ─────────────────────────────────────────
+async function fulfillOrder(session) {
+  const orderResult = await pool.query('SELECT * FROM orders WHERE stripe_session_id = $1 LIMIT 1', [session.id]);
+  if (orderResult.rows.length === 0) {
+    console.warn(`[SHOP] No order for session ${session.id}`);
+    return;
+  }
+  const order = orderResult.rows[0];
+  const customerEmail = session.customer_details?.email || session.customer_email || order.customer_email;
+  const customerName = session.customer_details?.name || order.customer_name || '';
+
+  const itemsResult = await pool.query(
+    `SELECT i.*, p.cal_event_type_slug, p.download_key, p.session_credits
+     FROM order_items i LEFT JOIN products p ON p.id = i.product_id
+     WHERE i.order_id = $1 ORDER BY i.id`,
+    [order.id]
+  );
+  const items = itemsResult.rows;
+  const pending = items.filter(i => !i.delivered_at);
+  const invoice = order.status === 'paid' ? await ensureInvoice(order.id, { session }) : null;
+  if (pending.length === 0 && order.admin_notified_at && (!invoice || invoice.emailed_at)) return;
+
+  let attachments = invoice && !invoice.emailed_at ? [await invoiceAttachment(invoice)] : null;
+  const invoiceSent = async () => {
+    if (!attachments) return;
+    await markInvoiceEmailed(invoice.id);
+    attachments = null;
+  };
+
+  for (const item of pending) {
+    const amountEur = formatEur(item.unit_amount_cents * item.quantity);
+
+    // Send appropriate delivery email
+    if (item.product_type === 'paket' && item.product_id) {
+      // Credits first: the booking link only works together with them
+      const product = { id: item.product_id, session_credits: item.session_credits, cal_event_type_slug: item.cal_event_type_slug };
+      await grantPackageCredits({ email: customerEmail, item, product });
+      await sendBookingConfirmation({
+        to: customerEmail,
+        name: customerName,
+        productName: itemLabel(item),
+        bookingLink: creditBookingLink(product, customerEmail, customerName),
+        amountEur,
+        credits: item.session_credits * item.quantity,
+        attachments
+      });
+      await invoiceSent();
+    } else if (item.product_type === 'sitzung' || item.product_type === 'paket') {
+      const bookingLink = item.cal_event_type_slug
+        ? getBookingLink(item.cal_event_type_slug)
+        : `https://cal.com/dimontehypnose`;
+
+      await sendBookingConfirmation({
+        to: customerEmail,
+        name: customerName,
+        productName: itemLabel(item),
+        bookingLink,
+        amountEur,
+        attachments
+      });
+      await invoiceSent();
+    } else if (item.product_type === 'download') {
+      // Personal link through our server, never the file location itself.
+      // No private file (yet): stays undelivered, shown in the admin and
+      // picked up by the next reconciliation run once it is uploaded.
+      if (!item.download_key) {
+        console.warn(`[SHOP] Order item ${item.id}: product has no download file, not delivered`);
+        continue;
+      }
+      const grant = await grantForItem(item, customerEmail);
+      await sendDownloadConfirmation({
+        to: customerEmail,
+        name: customerName,
+        productName: item.product_name,
+        downloadUrl: downloadUrl(grant.id),
+        amountEur,
+        expiresAt: grant.expires_at,
+        maxDownloads: grant.max_downloads,
+        attachments
+      });
+      await invoiceSent();
+    } else if (item.product_type === 'gutschein') {
+      // Codes and PDFs to the buyer; recipients get theirs from the voucher scheduler
+      const vouchers = await issueVouchers(item, { purchaserName: customerName, purchaserEmail: customerEmail });
+      await sendVoucherPurchaseConfirmation({
+        to: customerEmail,
+        name: customerName,
+        vouchers: vouchers.map(v => ({
+          code: v.code,
+          amountEur: formatEur(v.initial_cents),
+          recipientName: v.recipient_name,
+          recipientEmail: v.recipient_email,
+          sendOn: v.recipient_email && v.send_at > new Date() ? new Date(v.send_at).toLocaleDateString('de-DE', { timeZone: 'Europe/Berlin' }) : null
+        })),
+        attachments: [...(attachments || []), ...await Promise.all(vouchers.map(voucherAttachment))]
+      });
+      await invoiceSent();
+    } else {
+      console.warn(`[SHOP] Nothing to deliver for order item ${item.id} (${item.product_type})`);
+    }
+
+    await pool.query('UPDATE order_items SET delivered_at = NOW() WHERE id = $1', [item.id]);
+  }
+
+  if (attachments && customerEmail) {
+    await sendInvoiceEmail({ to: customerEmail, name: customerName, number: invoice.number, attachment: attachments[0] });
+    await invoiceSent();
+  }
+
+  if (!order.admin_notified_at) {
+    await sendAdminNotification({
+      productName: items.map(itemLabel).join(', '),
+      customerName,
+      customerEmail,
+      amountEur: formatEur(session.amount_total ?? order.amount_cents)
+    });
+    await pool.query('UPDATE orders SET admin_notified_at = NOW() WHERE id = $1', [order.id]);
+  }
+
+  // Gift vouchers without a later send date go out now, not on the next tick
+  if (pending.some(i => i.product_type === 'gutschein')) {
+    await sendDueVoucherEmails().catch(e => console.error('[SHOP] Sending vouchers failed:', e.message));
+  }
+
+  console.log(`[SHOP] Order ${order.id} delivered (${pending.length} items)`);
+}
+
+module.exports = { fulfillOrder };
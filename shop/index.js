@@ -1,11 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const { createCheckoutSession, handleWebhook } = require('./stripe');
+const { createCheckoutSession, constructWebhookEvent } = require('./stripe');
 const { getBookingLink } = require('./calcom');
-const { sendBookingConfirmation, sendDownloadConfirmation, sendAdminNotification } = require('./delivery');
+const { verifyCalSignature, handleBookingEvent } = require('./credits');
+const { couponForCheckout } = require('./coupons');
+const { voucherCheckoutItem, voucherForCheckout, createVoucherCoupon, deleteVoucherCoupon } = require('./vouchers');
+const { recordStripeEvent } = require('./webhooks');
+const { registerForEvent, cancelRegistration, resolveCancelToken, eventAvailability } = require('./events');
+const { resolveDownloadToken, useGrant, releaseGrantUse, productFilePath } = require('./downloads');
+const { hashValue } = require('../tokens');
+const { hashIp, isRateLimited, scoreMessage } = require('../messages/spam');
+const { attachMedia } = require('../media');
 router.use((req, res, next) => {
-  if (req.path === '/webhook') return next();
+  if (req.path === '/webhook' || req.path === '/calcom/webhook') return next();
   express.json({ limit: '1mb' })(req, res, next);
 });
 
@@ -15,12 +23,16 @@ router.use((req, res, next) => {
 router.get('/products', async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT id, name, description, price_cents, type, cal_event_type_slug, sort_order
+      `SELECT id, name, description, price_cents, type, cal_event_type_slug, image_slug, media_id, sort_order, event_starts_at,
+              voucher_free_amount
        FROM products
        WHERE active = true
        ORDER BY sort_order ASC, id ASC`
     );
-    res.json({ ok: true, items: result.rows });
+    // Events: free places / waitlist
+    const availability = await eventAvailability(result.rows.filter(p => p.type === 'event').map(p => p.id));
+    const items = result.rows.map(p => (p.type === 'event' ? { ...p, availability: availability.get(p.id) } : p));
+    res.json({ ok: true, items: await attachMedia(items) });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
@@ -28,35 +40,126 @@ router.get('/products', async (req, res) => {
 
 // ─────────────────────────────────────────
 // PUBLIC: Create Checkout Session
+// Body: { items: [{ product_id, quantity }], email, coupon_code?, voucher_code? }
+// or the single-product form { product_id, email }
+// Gift voucher items also take amount_euros (free amount), recipient_name,
+// recipient_email, message and send_on (YYYY-MM-DD), see shop/vouchers.js.
 // ─────────────────────────────────────────
+const MAX_CART_ITEMS = 20;
+const MAX_QUANTITY = 10;
+
 router.post('/checkout', async (req, res) => {
   try {
-    const { product_id, email } = req.body;
+    const { email } = req.body;
+    const requested = Array.isArray(req.body.items)
+      ? req.body.items
+      : req.body.product_id ? [{ product_id: req.body.product_id, quantity: 1 }] : [];
 
-    if (!product_id) {
+    if (requested.length === 0) {
       return res.status(400).json({ ok: false, error: 'product_id fehlt' });
     }
+    if (requested.length > MAX_CART_ITEMS) {
+      return res.status(400).json({ ok: false, error: `Zu viele Produkte (max. ${MAX_CART_ITEMS})` });
+    }
+
+    const entries = [];
+    for (const entry of requested) {
+      const productId = Number(entry?.product_id);
+      const quantity = entry?.quantity === undefined ? 1 : Number(entry.quantity);
+      if (!Number.isInteger(productId) || productId <= 0) {
+        return res.status(400).json({ ok: false, error: 'Ungültige product_id' });
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ ok: false, error: 'Ungültige Menge' });
+      }
+      entries.push({ productId, quantity, entry });
+    }
 
+    const productIds = [...new Set(entries.map(e => e.productId))];
     const result = await pool.query(
-      'SELECT * FROM products WHERE id = $1 AND active = true LIMIT 1',
-      [product_id]
+      'SELECT * FROM products WHERE id = ANY($1::int[]) AND active = true',
+      [productIds]
     );
-
-    if (result.rows.length === 0) {
+    const products = new Map(result.rows.map(p => [p.id, p]));
+    if (products.size !== productIds.length) {
       return res.status(404).json({ ok: false, error: 'Produkt nicht gefunden' });
     }
+    // Downloads are only sold once the private file is uploaded
+    const noFile = result.rows.find(p => p.type === 'download' && !p.download_key);
+    if (noFile) {
+      return res.status(400).json({ ok: false, error: `„${noFile.name}“ ist gerade nicht verfügbar` });
+    }
 
-    const product = result.rows[0];
+    // Same product twice → one line with the summed quantity. Gift vouchers
+    // stay separate lines: each has its own amount and recipient.
+    const items = [];
+    const merged = new Map();
+    for (const { productId, quantity, entry } of entries) {
+      const product = products.get(productId);
+      if (product.type === 'gutschein') {
+        try {
+          items.push({ product, quantity, ...voucherCheckoutItem(product, entry) });
+        } catch (e) {
+          return res.status(400).json({ ok: false, error: e.message });
+        }
+      } else if (merged.has(productId)) {
+        merged.get(productId).quantity += quantity;
+      } else {
+        merged.set(productId, { product, quantity });
+        items.push(merged.get(productId));
+      }
+    }
+    for (const item of items) {
+      // A download is delivered once, more copies make no sense
+      if (item.product.type === 'download') item.quantity = 1;
+      if (item.quantity > MAX_QUANTITY) {
+        return res.status(400).json({ ok: false, error: `Höchstens ${MAX_QUANTITY}× ${item.product.name}` });
+      }
+    }
 
-    // Free event: no checkout needed
-    if (product.price_cents === 0) {
-      const bookingLink = product.cal_event_type_slug
-        ? getBookingLink(product.cal_event_type_slug)
-        : null;
-      return res.json({ ok: true, free: true, booking_link: bookingLink });
+    // Free event: no checkout, registration instead (same as POST /events/:id/register)
+    const free = items.filter(i => (i.unitCents ?? i.product.price_cents) === 0);
+    if (free.length > 0) {
+      if (items.length > 1) {
+        return res.status(400).json({ ok: false, error: 'Kostenlose Events bitte einzeln anmelden' });
+      }
+      const product = free[0].product;
+      if (product.type !== 'event') {
+        const bookingLink = product.cal_event_type_slug
+          ? getBookingLink(product.cal_event_type_slug)
+          : null;
+        return res.json({ ok: true, free: true, booking_link: bookingLink });
+      }
+      return sendRegistration(res, product, req);
+    }
+
+    let coupon = null;
+    let voucher = null;
+    const couponCode = String(req.body.coupon_code || '').trim();
+    const voucherCode = String(req.body.voucher_code || '').trim();
+    if (couponCode && voucherCode) {
+      // Stripe takes one discount per checkout
+      return res.status(400).json({ ok: false, error: 'Rabattcode und Gutschein lassen sich nicht kombinieren' });
+    }
+    try {
+      if (couponCode) coupon = await couponForCheckout(couponCode, items);
+      if (voucherCode) {
+        const total = items.reduce((sum, i) => sum + (i.unitCents ?? i.product.price_cents) * i.quantity, 0);
+        const found = await voucherForCheckout(voucherCode, items, total);
+        voucher = { id: found.voucher.id, code: found.voucher.code, amountCents: found.amountCents };
+      }
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
     }
+    if (voucher) voucher.stripeCouponId = await createVoucherCoupon(voucher, voucher.amountCents);
 
-    const session = await createCheckoutSession(product, email);
+    let session;
+    try {
+      session = await createCheckoutSession(items, email, { coupon, voucher });
+    } catch (e) {
+      if (voucher) await deleteVoucherCoupon(voucher.stripeCouponId);
+      throw e;
+    }
     res.json({ ok: true, checkout_url: session.url });
   } catch (e) {
     console.error('[SHOP] Checkout error:', e);
@@ -65,78 +168,196 @@ router.post('/checkout', async (req, res) => {
 });
 
 // ─────────────────────────────────────────
-// STRIPE WEBHOOK (raw body required)
-// Mounted separately in server.js before json middleware
+// PUBLIC: Free event registration
+// Body: { name, email, website, form_started_at } → confirmed or waitlisted.
+// Same honeypot / time trap and hourly limits as the contact form (messages/spam.js):
+// every registration sends an email, so it must not be scriptable.
 // ─────────────────────────────────────────
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+async function sendRegistration(res, product, req) {
+  const name = String(req.body.name || '').trim().slice(0, 200);
+  const email = String(req.body.email || '').trim().slice(0, 254);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ ok: false, error: 'Bitte gib eine gültige E-Mail-Adresse an' });
+  }
+  const ipHash = hashIp(req.ip);
+  if (await isRateLimited(pool, { ipHash, email }, 'event_registrations')) {
+    return res.status(429).json({ ok: false, error: 'Zu viele Anmeldungen. Bitte versuche es später noch einmal.' });
+  }
+  const verdict = scoreMessage(req.body, { name, subject: '', body: '' });
+  if (verdict.spam) {
+    // Bots get the normal answer, but nothing is stored or sent
+    console.log(`[EVENTS] Registration for ${product.name} dropped as spam (${verdict.reasons.join(', ')})`);
+    return res.json({ ok: true, free: true, status: 'confirmed', position: null, already_registered: false });
+  }
+  try {
+    const { registration, position, existing } = await registerForEvent(product, { name, email, ipHash });
+    return res.json({ ok: true, free: true, status: registration.status, position, already_registered: existing });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+}
+
+router.post('/events/:id/register', async (req, res) => {
   try {
-    const signature = req.headers['stripe-signature'];
-    await handleWebhook(req.body, signature);
-
-    // After payment confirmed: send delivery email
-    // We parse the event again here just for delivery
-    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-    const event = stripe.webhooks.constructEvent(
-      req.body,
-      signature,
-      process.env.STRIPE_WEBHOOK_SECRET || ''
+    const result = await pool.query(
+      `SELECT * FROM products WHERE id = $1 AND type = 'event' AND active = true LIMIT 1`,
+      [Number(req.params.id)]
     );
+    if (result.rows.length === 0) return res.status(404).json({ ok: false, error: 'Event nicht gefunden' });
+    return sendRegistration(res, result.rows[0], req);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object;
-      const productId = session.metadata?.dimonte_product_id;
-
-      if (productId) {
-        const productResult = await pool.query(
-          'SELECT * FROM products WHERE id = $1 LIMIT 1',
-          [productId]
-        );
-
-        if (productResult.rows.length > 0) {
-          const product = productResult.rows[0];
-          const customerEmail = session.customer_details?.email || session.customer_email;
-          const customerName = session.customer_details?.name || '';
-          const amountEur = `€${(session.amount_total / 100).toFixed(2).replace('.', ',')}`;
-
-          // Send appropriate delivery email
-          if (product.type === 'sitzung' || product.type === 'paket') {
-            const bookingLink = product.cal_event_type_slug
-              ? getBookingLink(product.cal_event_type_slug)
-              : `https://cal.com/dimontehypnose`;
-
-            await sendBookingConfirmation({
-              to: customerEmail,
-              name: customerName,
-              productName: product.name,
-              bookingLink,
-              amountEur
-            });
-          } else if (product.type === 'download' && product.download_url) {
-            await sendDownloadConfirmation({
-              to: customerEmail,
-              name: customerName,
-              productName: product.name,
-              downloadUrl: product.download_url,
-              amountEur
-            });
-          }
-
-          // Notify Bianca
-          await sendAdminNotification({
-            productName: product.name,
-            customerName,
-            customerEmail,
-            amountEur
-          });
-        }
-      }
+// Small HTML page for links opened from emails (cancel, download errors)
+function shopPage(title, text, action = '') {
+  const esc = str => String(str ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  return `<!DOCTYPE html>
+<html lang="de">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${esc(title)}</title></head>
+<body style="margin:0;padding:0;background:#f8f5f0;font-family:Georgia,serif;">
+  <div style="max-width:560px;margin:60px auto;background:#fff;border:1px solid rgba(42,16,5,0.1);padding:40px;color:#2a1005;">
+    <h1 style="margin:0 0 16px;font-size:1.3rem;font-weight:400;">${esc(title)}</h1>
+    <p style="color:#5a3a25;line-height:1.7;">${esc(text)}</p>
+    ${action ? `<form method="post" action="${esc(action)}">
+      <button type="submit" style="background:#1b2d18;color:#fff6ea;border:none;padding:12px 28px;font-size:0.85rem;letter-spacing:0.1em;text-transform:uppercase;cursor:pointer;">Verbindlich abmelden</button>
+    </form>` : ''}
+  </div>
+</body>
+</html>`;
+}
+
+// ─────────────────────────────────────────
+// PUBLIC: Cancel link from the event emails.
+// GET only shows a button, so mail scanners that open links cancel nothing.
+// ─────────────────────────────────────────
+router.get('/events/cancel', async (req, res) => {
+  try {
+    const id = resolveCancelToken(req.query.token);
+    const found = id
+      ? await pool.query(
+        `SELECT r.status, p.name FROM event_registrations r JOIN products p ON p.id = r.product_id WHERE r.id = $1`,
+        [id]
+      )
+      : { rows: [] };
+    if (found.rows.length === 0) {
+      return res.status(404).type('html').send(shopPage('Link ungültig', 'Dieser Abmeldelink ist ungültig.'));
+    }
+    const { status, name } = found.rows[0];
+    if (status === 'cancelled') {
+      return res.type('html').send(shopPage('Bereits abgemeldet', `Du bist von „${name}“ bereits abgemeldet.`));
+    }
+    res.type('html').send(shopPage(
+      `Abmelden: ${name}`,
+      status === 'waitlisted' ? 'Möchtest du dich von der Warteliste abmelden?' : 'Möchtest du deinen Platz freigeben?',
+      req.originalUrl
+    ));
+  } catch (e) {
+    res.status(500).type('html').send(shopPage('Fehler', e.message));
+  }
+});
+
+router.post('/events/cancel', async (req, res) => {
+  try {
+    const id = resolveCancelToken(req.query.token);
+    const result = id ? await cancelRegistration(id) : null;
+    if (!result) {
+      return res.status(404).type('html').send(shopPage('Link ungültig', 'Dieser Abmeldelink ist ungültig.'));
+    }
+    res.type('html').send(shopPage(
+      'Abgemeldet',
+      `Du bist von „${result.product.name}“ abgemeldet. Schade, dass du nicht dabei sein kannst!`
+    ));
+  } catch (e) {
+    res.status(500).type('html').send(shopPage('Fehler', e.message));
+  }
+});
+
+// ─────────────────────────────────────────
+// PUBLIC: Download link from the confirmation email (see shop/downloads.js)
+// ─────────────────────────────────────────
+const DOWNLOAD_ERRORS = {
+  invalid: ['Link ungültig', 'Dieser Download-Link ist ungültig.'],
+  expired: ['Link abgelaufen', 'Dieser Download-Link ist abgelaufen. Schreib mir kurz an contact@dimontehypnose.de, dann bekommst du einen neuen.'],
+  exhausted: ['Download-Limit erreicht', 'Über diesen Link wurde schon zu oft heruntergeladen. Schreib mir kurz an contact@dimontehypnose.de, dann bekommst du einen neuen.'],
+  revoked: ['Link deaktiviert', 'Dieser Download-Link ist nicht mehr gültig.'],
+  missing: ['Datei nicht verfügbar', 'Die Datei ist gerade nicht verfügbar. Bitte melde dich unter contact@dimontehypnose.de.']
+};
+
+router.get('/downloads/:token', async (req, res) => {
+  try {
+    const grantId = resolveDownloadToken(req.params.token);
+    const range = String(req.headers.range || '');
+    const { outcome, product, use } = grantId
+      ? await useGrant(grantId, {
+        peek: req.method === 'HEAD',
+        resume: /^bytes=\d+-/.test(range) && !/^bytes=0-/.test(range),
+        ipHash: hashValue('download-ip', req.ip),
+        userAgent: req.get('user-agent')
+      })
+      : { outcome: 'invalid' };
+
+    if (outcome !== 'ok') {
+      const [title, text] = DOWNLOAD_ERRORS[outcome];
+      return res.status(outcome === 'invalid' ? 404 : 410).type('html').send(shopPage(title, text));
     }
+    res.set('Cache-Control', 'private, no-store');
+    res.download(productFilePath(product), product.download_filename || 'download', {
+      headers: { 'Content-Type': product.download_mime_type || 'application/octet-stream' }
+    }, (err) => {
+      // Only when nothing went out: an aborted transfer still counts
+      if (!err || res.headersSent) return;
+      releaseGrantUse(use).catch(e => console.error('[DOWNLOADS] Could not release download:', e.message));
+      res.status(404).type('html').send(shopPage(...DOWNLOAD_ERRORS.missing));
+    });
+  } catch (e) {
+    res.status(500).type('html').send(shopPage('Fehler', e.message));
+  }
+});
 
-    res.json({ received: true });
+// ─────────────────────────────────────────
+// STRIPE WEBHOOK (raw body required)
+// Mounted separately in server.js before json middleware.
+// Only stores the event; processing runs in the job queue (shop/webhooks.js),
+// so a failing email no longer makes Stripe resend the whole event.
+// ─────────────────────────────────────────
+router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  let event;
+  try {
+    event = constructWebhookEvent(req.body, req.headers['stripe-signature']);
   } catch (e) {
     console.error('[SHOP] Webhook error:', e.message);
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const stored = await recordStripeEvent(event);
+    console.log(`[STRIPE] Event: ${event.type} ${event.id}${stored ? '' : ' (duplicate)'}`);
+    res.json({ received: true, duplicate: !stored });
+  } catch (e) {
+    // Not stored: 500 so Stripe delivers it again
+    console.error('[SHOP] Could not store webhook event:', e.message);
+    res.status(500).json({ error: 'Event could not be stored' });
+  }
+});
+
+// ─────────────────────────────────────────
+// CAL.COM WEBHOOK (raw body for the signature)
+// Package credits: see shop/credits.js
+// ─────────────────────────────────────────
+router.post('/calcom/webhook', express.raw({ type: '*/*' }), async (req, res) => {
+  try {
+    if (!verifyCalSignature(req.body, req.headers['x-cal-signature-256'])) {
+      return res.status(401).json({ error: 'Webhook signature invalid' });
+    }
+    const { triggerEvent, payload } = JSON.parse(req.body.toString('utf8'));
+    console.log(`[CAL] Event: ${triggerEvent}`);
+    const result = await handleBookingEvent(triggerEvent, payload);
+    res.json({ received: true, ...result });
+  } catch (e) {
+    console.error('[CAL] Webhook error:', e.message);
     res.status(400).json({ error: e.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,380 @@
+const path = require('path');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const pool = require('../db');
+const { createLocalStorage } = require('../media/storage');
+
+const INVOICE_DIR = process.env.INVOICE_DIR || path.join(__dirname, '..', 'invoices');
+
+// Business details printed on every invoice; "\n" in an env value becomes a line break.
+// INVOICE_SMALL_BUSINESS=false switches from the §19 UStG note to a VAT breakdown
+// (prices are gross, INVOICE_VAT_RATE in percent).
+const SELLER_NAME = process.env.INVOICE_SELLER_NAME || 'DiMonte Hypnose · Bianca DiMonte';
+const SELLER_ADDRESS = process.env.INVOICE_SELLER_ADDRESS || '';
+const SELLER_TAX_ID = process.env.INVOICE_TAX_ID || '';
+const SELLER_TAX_ID_LABEL = process.env.INVOICE_TAX_ID_LABEL || 'Steuernummer';
+const SELLER_EMAIL = process.env.INVOICE_EMAIL || 'contact@dimontehypnose.de';
+const SELLER_WEBSITE = process.env.INVOICE_WEBSITE || 'dimontehypnose.de';
+const SMALL_BUSINESS = process.env.INVOICE_SMALL_BUSINESS !== 'false';
+const VAT_RATE = parseFloat(process.env.INVOICE_VAT_RATE || 19);
+
+// Never mounted as static folder: invoices only leave through the admin route and emails
+const invoiceStorage = createLocalStorage(INVOICE_DIR, null);
+
+function formatEur(cents) {
+  // Plain hyphen: the PDF standard fonts have no minus sign
+  const sign = cents < 0 ? '-' : '';
+  return `${sign}${(Math.abs(cents) / 100).toFixed(2).replace('.', ',')} €`;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('de-DE', { timeZone: 'Europe/Berlin', day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+function envLines(text) {
+  return text.replace(/\\n/g, '\n').split('\n').map(l => l.trim()).filter(Boolean);
+}
+
+function sellerSnapshot() {
+  return {
+    name: SELLER_NAME,
+    address: envLines(SELLER_ADDRESS),
+    tax_id: SELLER_TAX_ID,
+    tax_id_label: SELLER_TAX_ID_LABEL,
+    email: SELLER_EMAIL,
+    website: SELLER_WEBSITE
+  };
+}
+
+// Gross line amounts in, net / VAT split out (nothing to split for §19).
+// Sold gift vouchers (line.voucher) carry no VAT: it is due when redeemed.
+function totals(lines) {
+  const grossCents = lines.reduce((sum, l) => sum + l.total_cents, 0);
+  if (SMALL_BUSINESS) return { gross_cents: grossCents, net_cents: grossCents, vat_cents: 0, vat_rate: 0 };
+  const taxable = lines.filter(l => !l.voucher).reduce((sum, l) => sum + l.total_cents, 0);
+  const vat = taxable - Math.round(taxable / (1 + VAT_RATE / 100));
+  return { gross_cents: grossCents, net_cents: grossCents - vat, vat_cents: vat, vat_rate: VAT_RATE };
+}
+
+// ─────────────────────────────────────────
+// Numbering: RE-2026-0001, one range per calendar year for invoices and
+// cancellations alike. The counter row is locked until the transaction
+// that inserts the invoice commits.
+// ─────────────────────────────────────────
+async function nextNumber(client, issuedAt) {
+  const year = Number(formatDate(issuedAt).slice(-4));
+  const result = await client.query(
+    `INSERT INTO invoice_counters (year, last_number) VALUES ($1, 1)
+     ON CONFLICT (year) DO UPDATE SET last_number = invoice_counters.last_number + 1
+     RETURNING last_number`,
+    [year]
+  );
+  return `RE-${year}-${String(result.rows[0].last_number).padStart(4, '0')}`;
+}
+
+async function insertInvoice(client, fields) {
+  const issuedAt = new Date();
+  const sums = totals(fields.lines);
+  const result = await client.query(
+    `INSERT INTO invoices (number, kind, order_id, cancels_invoice_id, issued_at, service_date, seller, customer, lines,
+       gross_cents, net_cents, vat_cents, vat_rate, small_business, created_by, voucher_code, voucher_cents)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING *`,
+    [
+      await nextNumber(client, issuedAt), fields.kind, fields.orderId, fields.cancelsInvoiceId || null, issuedAt,
+      fields.serviceDate || issuedAt,
+      JSON.stringify(sellerSnapshot()), JSON.stringify(fields.customer), JSON.stringify(fields.lines),
+      sums.gross_cents, sums.net_cents, sums.vat_cents, sums.vat_rate, SMALL_BUSINESS, fields.createdBy || '',
+      fields.voucherCode || null, fields.voucherCents || 0
+    ]
+  );
+  return result.rows[0];
+}
+
+// Runs fn(client) in a transaction holding the order row, so two
+// deliveries or refunds of the same order can't both issue a document
+async function withOrderLock(orderId, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const order = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    const result = order.rows.length ? await fn(client, order.rows[0]) : null;
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+function customerFromAddress(name, email, address) {
+  const lines = address
+    ? [address.line1, address.line2, [address.postal_code, address.city].filter(Boolean).join(' '), address.country !== 'DE' ? address.country : '']
+    : [];
+  return { name: name || '', email: email || '', address: lines.filter(Boolean) };
+}
+
+// ─────────────────────────────────────────
+// Invoice for a paid order (one per order). session: the Checkout Session,
+// for the billing address; without it (admin, old orders) only name and
+// email are printed. Returns the existing invoice if there is one.
+// ─────────────────────────────────────────
+async function ensureInvoice(orderId, { session = null, createdBy = '' } = {}) {
+  const existing = await pool.query(`SELECT * FROM invoices WHERE order_id = $1 AND kind = 'invoice'`, [orderId]);
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  const invoice = await withOrderLock(orderId, async (client, order) => {
+    const again = await client.query(`SELECT * FROM invoices WHERE order_id = $1 AND kind = 'invoice'`, [orderId]);
+    if (again.rows.length > 0) return again.rows[0];
+    if (order.status !== 'paid' && order.status !== 'refunded') throw new Error('Nur bezahlte Bestellungen bekommen eine Rechnung');
+
+    const items = await client.query('SELECT * FROM order_items WHERE order_id = $1 ORDER BY id', [orderId]);
+    const lines = items.rows.map(i => ({
+      description: i.product_type === 'gutschein' ? `Gutschein: ${i.product_name}` : i.product_name,
+      quantity: i.quantity,
+      unit_cents: i.unit_amount_cents,
+      total_cents: i.unit_amount_cents * i.quantity,
+      ...(i.product_type === 'gutschein' ? { voucher: true } : {})
+    }));
+    // Coupon discounts: whatever the items add up to beyond what was paid.
+    // A redeemed gift voucher is a payment, not a discount.
+    const discount = lines.reduce((sum, l) => sum + l.total_cents, 0) - order.amount_cents - order.voucher_cents;
+    const voucher = order.voucher_id
+      ? (await client.query('SELECT code FROM vouchers WHERE id = $1', [order.voucher_id])).rows[0]
+      : null;
+    if (discount > 0) {
+      lines.push({
+        description: order.coupon_code ? `Rabatt (${order.coupon_code})` : 'Rabatt',
+        quantity: 1,
+        unit_cents: -discount,
+        total_cents: -discount
+      });
+    }
+
+    return insertInvoice(client, {
+      kind: 'invoice',
+      orderId,
+      // Issued later (admin, old orders): the service date is the purchase
+      serviceDate: session ? null : order.created_at,
+      customer: customerFromAddress(
+        session?.customer_details?.name || order.customer_name,
+        session?.customer_details?.email || order.customer_email,
+        session?.customer_details?.address
+      ),
+      lines,
+      createdBy,
+      voucherCode: voucher?.code,
+      voucherCents: order.voucher_cents
+    });
+  });
+  if (invoice) console.log(`[INVOICES] ${invoice.number} issued for order ${orderId}`);
+  return invoice;
+}
+
+// ─────────────────────────────────────────
+// Stornorechnung after a refund: covers whatever orders.refunded_cents has
+// beyond the cancellations issued so far, so repeated webhooks and the
+// admin refund path don't double up. A full refund with no earlier
+// cancellation mirrors the invoice lines; anything else is one line.
+// Orders from before invoices existed get none.
+// ─────────────────────────────────────────
+async function issueCancellation(orderId, { createdBy = '' } = {}) {
+  const cancellation = await withOrderLock(orderId, async (client, order) => {
+    const found = await client.query(`SELECT * FROM invoices WHERE order_id = $1 ORDER BY id`, [orderId]);
+    const original = found.rows.find(i => i.kind === 'invoice');
+    if (!original) return null;
+    const previous = found.rows.filter(i => i.kind === 'cancellation');
+    const alreadyCancelled = -previous.reduce((sum, i) => sum + i.gross_cents, 0);
+    // Voucher part of a fully refunded order, booked back onto the voucher
+    const voucherBack = await client.query(
+      `SELECT COALESCE(SUM(delta_cents), 0)::int AS cents FROM voucher_ledger WHERE order_id = $1 AND reason = 'refund'`,
+      [orderId]
+    );
+    const voucherCents = voucherBack.rows[0].cents;
+    const amount = Math.min(order.refunded_cents + voucherCents, original.gross_cents) - alreadyCancelled;
+    if (amount <= 0) return null;
+
+    const lines = previous.length === 0 && amount === original.gross_cents
+      ? original.lines.map(l => ({ ...l, unit_cents: -l.unit_cents, total_cents: -l.total_cents }))
+      : [{ description: `Erstattung zu Rechnung ${original.number}`, quantity: 1, unit_cents: -amount, total_cents: -amount }];
+
+    return insertInvoice(client, {
+      kind: 'cancellation',
+      orderId,
+      cancelsInvoiceId: original.id,
+      customer: original.customer,
+      lines,
+      createdBy,
+      voucherCode: voucherCents ? original.voucher_code : null,
+      voucherCents
+    });
+  });
+  if (cancellation) console.log(`[INVOICES] ${cancellation.number} (cancellation) issued for order ${orderId}`);
+  return cancellation;
+}
+
+// ─────────────────────────────────────────
+// PDF
+// ─────────────────────────────────────────
+function renderInvoicePdf(invoice, cancels = null) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: invoice.number, Author: invoice.seller.name } });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { seller, customer } = invoice;
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const isCancellation = invoice.kind === 'cancellation';
+
+    // Sender line and recipient
+    doc.font('Helvetica').fontSize(8).fillColor('#666666')
+      .text([seller.name, ...seller.address].join(' · '), left, 120, { width: 300 });
+    doc.fontSize(11).fillColor('#000000').moveDown(0.8)
+      .text([customer.name, ...customer.address].filter(Boolean).join('\n') || customer.email);
+    if (customer.name || customer.address.length) doc.fontSize(9).fillColor('#444444').text(customer.email);
+
+    // Invoice details, right column
+    const meta = [
+      [isCancellation ? 'Stornorechnung Nr.' : 'Rechnung Nr.', invoice.number],
+      ['Rechnungsdatum', formatDate(invoice.issued_at)],
+      ['Leistungsdatum', formatDate(invoice.service_date)],
+      ['Bestellung', `#${invoice.order_id}`]
+    ];
+    if (cancels) meta.push(['Zu Rechnung', cancels.number]);
+    meta.forEach(([label, value], i) => {
+      doc.fontSize(9).fillColor('#444444').text(label, left + width - 220, 120 + i * 14, { width: 100 });
+      doc.fillColor('#000000').text(value, left + width - 120, 120 + i * 14, { width: 120, align: 'right' });
+    });
+
+    doc.font('Helvetica-Bold').fontSize(16).text(isCancellation ? 'Stornorechnung' : 'Rechnung', left, 250);
+    doc.font('Helvetica').fontSize(10).moveDown(0.5).text(isCancellation
+      ? `Hiermit korrigiere ich die Rechnung ${cancels ? cancels.number : ''} wie folgt:`
+      : 'Vielen Dank für deine Bestellung. Ich berechne dir folgende Leistungen:');
+
+    // Lines
+    const cols = [
+      { label: 'Pos.', x: left, w: 30 },
+      { label: 'Beschreibung', x: left + 30, w: width - 250 },
+      { label: 'Menge', x: left + width - 220, w: 50, align: 'right' },
+      { label: 'Einzelpreis', x: left + width - 160, w: 75, align: 'right' },
+      { label: 'Gesamt', x: left + width - 75, w: 75, align: 'right' }
+    ];
+    const row = (values, y, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      let height = 0;
+      values.forEach((v, i) => {
+        doc.text(v, cols[i].x, y, { width: cols[i].w, align: cols[i].align || 'left' });
+        height = Math.max(height, doc.y - y);
+      });
+      return y + height + 6;
+    };
+    let y = doc.y + 16;
+    y = row(cols.map(c => c.label), y, true);
+    doc.moveTo(left, y - 3).lineTo(left + width, y - 3).strokeColor('#999999').stroke();
+    invoice.lines.forEach((l, i) => {
+      y = row([String(i + 1), l.description, String(l.quantity), formatEur(l.unit_cents), formatEur(l.total_cents)], y);
+    });
+    doc.moveTo(left, y).lineTo(left + width, y).stroke();
+    y += 8;
+
+    // Totals
+    const total = (label, value, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9);
+      doc.text(label, left + width - 260, y, { width: 180, align: 'right' });
+      doc.text(value, left + width - 75, y, { width: 75, align: 'right' });
+      y += bold ? 18 : 14;
+    };
+    if (!invoice.small_business) {
+      total('Nettobetrag', formatEur(invoice.net_cents));
+      total(`Umsatzsteuer ${String(Number(invoice.vat_rate)).replace('.', ',')} %`, formatEur(invoice.vat_cents));
+    }
+    total('Gesamtbetrag', formatEur(invoice.gross_cents), true);
+
+    doc.font('Helvetica').fontSize(9).fillColor('#000000');
+    y += 10;
+    if (invoice.small_business) {
+      doc.text('Gemäß § 19 UStG wird keine Umsatzsteuer berechnet (Kleinunternehmerregelung).', left, y, { width });
+      y = doc.y + 6;
+    }
+    const voucherEur = invoice.voucher_cents ? formatEur(invoice.voucher_cents) : '';
+    let payment;
+    if (isCancellation) {
+      payment = invoice.voucher_cents
+        ? `${voucherEur} werden dem Gutschein ${invoice.voucher_code} wieder gutgeschrieben, der Rest wird auf das ursprünglich verwendete Zahlungsmittel erstattet.`
+        : 'Der Betrag wird auf das ursprünglich verwendete Zahlungsmittel erstattet.';
+    } else if (invoice.voucher_cents >= invoice.gross_cents && invoice.voucher_cents) {
+      payment = `Der Betrag wurde vollständig mit dem Gutschein ${invoice.voucher_code} bezahlt.`;
+    } else {
+      payment = invoice.voucher_cents
+        ? `Davon mit dem Gutschein ${invoice.voucher_code} bezahlt: ${voucherEur}. Der Rest wurde bereits online über Stripe bezahlt.`
+        : 'Der Betrag wurde bereits online über Stripe bezahlt.';
+    }
+    doc.text(payment, left, y, { width });
+    if (!invoice.small_business && invoice.lines.some(l => l.voucher)) {
+      doc.moveDown(0.5).text('Gutscheine sind Mehrzweckgutscheine: Die Umsatzsteuer fällt erst bei der Einlösung an.', { width });
+    }
+
+    // Footer
+    const footer = [seller.name, ...seller.address].join(' · ');
+    const contact = [seller.email, seller.website, seller.tax_id ? `${seller.tax_id_label}: ${seller.tax_id}` : ''].filter(Boolean).join(' · ');
+    const bottom = doc.page.height - doc.page.margins.bottom - 24;
+    doc.fontSize(7.5).fillColor('#666666')
+      .text(footer, left, bottom, { width, align: 'center', lineBreak: false })
+      .text(contact, left, bottom + 11, { width, align: 'center', lineBreak: false });
+
+    doc.end();
+  });
+}
+
+function pdfKey(invoice) {
+  // RE-2026-0001 → 2026/RE-2026-0001.pdf
+  return `${invoice.number.split('-')[1]}/${invoice.number}.pdf`;
+}
+
+// Rendered once and kept; a missing file (e.g. crash right after the
+// insert) is rendered again from the stored snapshot
+async function invoicePdf(invoice) {
+  if (invoice.pdf_key) {
+    try {
+      return await fs.promises.readFile(invoiceStorage.path(invoice.pdf_key));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+  const cancels = invoice.cancels_invoice_id
+    ? (await pool.query('SELECT number FROM invoices WHERE id = $1', [invoice.cancels_invoice_id])).rows[0]
+    : null;
+  const pdf = await renderInvoicePdf(invoice, cancels);
+  const key = pdfKey(invoice);
+  await invoiceStorage.put(key, pdf);
+  await pool.query('UPDATE invoices SET pdf_key = $1 WHERE id = $2', [key, invoice.id]);
+  invoice.pdf_key = key;
+  return pdf;
+}
+
+// Resend attachment format
+async function invoiceAttachment(invoice) {
+  return { filename: `${invoice.number}.pdf`, content: (await invoicePdf(invoice)).toString('base64') };
+}
+
+async function markInvoiceEmailed(invoiceId) {
+  await pool.query('UPDATE invoices SET emailed_at = NOW() WHERE id = $1', [invoiceId]);
+}
+
+async function loadInvoice(id) {
+  const result = await pool.query('SELECT * FROM invoices WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  ensureInvoice,
+  issueCancellation,
+  invoicePdf,
+  invoiceAttachment,
+  markInvoiceEmailed,
+  loadInvoice
+};
@@ -0,0 +1,172 @@
+require('dotenv').config();
+
+const pool = require('../db');
+const { stripe } = require('./stripe');
+const { processStripeEvent } = require('./webhooks');
+const { fulfillOrder } = require('./fulfillment');
+
+const INTERVAL_MINUTES = parseInt(process.env.RECONCILE_INTERVAL_MINUTES || 60);
+// Younger orders are left alone: their webhook is probably still on the way
+const MIN_AGE_MINUTES = parseInt(process.env.RECONCILE_MIN_AGE_MINUTES || 30);
+// Orders a run could not settle (awaiting payment, errors) are looked at again after this
+const RECHECK_HOURS = parseInt(process.env.RECONCILE_RECHECK_HOURS || 24);
+const BATCH_SIZE = 200;
+// Checkout sessions expire after 24h at the latest
+const OPEN_TOO_LONG_HOURS = 25;
+// Arbitrary but fixed, like the migration lock
+const LOCK_KEY = 724022;
+
+let timer = null;
+
+// ─────────────────────────────────────────
+// Orders a webhook should have moved on by now:
+//  - pending: paid or expired at Stripe without us hearing about it
+//  - paid, but items not delivered / Bianca not notified
+// Orders whose checkout event still has an open job (waiting or backing
+// off after e.g. a failed email) are left to that job: running the same
+// steps here as well could send the same emails twice. Orders a run left
+// unchanged (reconciled_at) wait RECHECK_HOURS; never-checked ones go first.
+// ─────────────────────────────────────────
+async function staleOrders() {
+  const result = await pool.query(
+    `SELECT o.* FROM orders o
+     WHERE o.created_at < NOW() - make_interval(mins => $1)
+       AND (o.status = 'pending'
+         OR (o.status = 'paid' AND o.deliverables_revoked_at IS NULL AND (
+           o.admin_notified_at IS NULL
+           OR EXISTS (SELECT 1 FROM order_items i WHERE i.order_id = o.id AND i.delivered_at IS NULL))))
+       AND NOT EXISTS (
+         SELECT 1 FROM stripe_events e JOIN jobs j ON j.id = e.job_id
+         WHERE e.session_id = o.stripe_session_id
+           AND j.status IN ('pending', 'running'))
+       AND (o.reconciled_at IS NULL OR o.reconciled_at < NOW() - make_interval(hours => $3))
+     ORDER BY o.reconciled_at NULLS FIRST, o.created_at
+     LIMIT $2`,
+    [MIN_AGE_MINUTES, BATCH_SIZE, RECHECK_HOURS]
+  );
+  return result.rows;
+}
+
+// One order → report entry { order_id, session_id, issue, action } or null if all is well
+async function reconcileOrder(order) {
+  const entry = { order_id: order.id, session_id: order.stripe_session_id };
+  let session;
+  try {
+    session = await stripe.checkout.sessions.retrieve(order.stripe_session_id);
+  } catch (e) {
+    if (e.statusCode !== 404) throw e;
+    if (order.status !== 'pending') return { ...entry, issue: 'not-in-stripe', action: 'none' };
+    // Nothing to pay at Stripe: cancel like an expired session (frees a reserved voucher amount)
+    await processStripeEvent({ type: 'checkout.session.expired', data: { object: { id: order.stripe_session_id } } });
+    return { ...entry, issue: 'not-in-stripe', action: 'marked-cancelled' };
+  }
+
+  if (order.status === 'paid') {
+    await fulfillOrder(session);
+    // e.g. a download product without file: stays open, looked at again later
+    const open = await pool.query('SELECT 1 FROM order_items WHERE order_id = $1 AND delivered_at IS NULL LIMIT 1', [order.id]);
+    return { ...entry, issue: 'undelivered', action: open.rows.length ? 'none' : 'delivered' };
+  }
+
+  if (session.status === 'complete' && session.payment_status !== 'unpaid') {
+    // Same path as the webhook would have taken
+    await processStripeEvent({ type: 'checkout.session.completed', data: { object: session } });
+    const mismatch = session.amount_total != null && session.amount_total !== order.amount_cents &&
+      !(session.total_details?.amount_discount > 0);
+    return { ...entry, issue: mismatch ? 'missed-payment, amount-mismatch' : 'missed-payment', action: 'marked-paid' };
+  }
+  if (session.status === 'complete') {
+    // Delayed payment methods (e.g. SEPA): the webhook comes when the money does
+    return { ...entry, issue: 'awaiting-payment', action: 'none' };
+  }
+  if (session.status === 'expired') {
+    await processStripeEvent({ type: 'checkout.session.expired', data: { object: session } });
+    return { ...entry, issue: 'missed-expiry', action: 'marked-cancelled' };
+  }
+  if (Date.now() - new Date(order.created_at).getTime() > OPEN_TOO_LONG_HOURS * 3600 * 1000) {
+    // Stripe should have expired it by now: do it, then cancel as usual
+    const expired = await stripe.checkout.sessions.expire(order.stripe_session_id);
+    await processStripeEvent({ type: 'checkout.session.expired', data: { object: expired } });
+    return { ...entry, issue: 'open-too-long', action: 'marked-cancelled' };
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────
+// One run → the stored reconciliation_runs row. A second run while one is
+// going (other instance, admin click) is refused via an advisory lock.
+// ─────────────────────────────────────────
+async function reconcileOrders(triggeredBy = 'schedule') {
+  const lock = await pool.connect();
+  try {
+    const locked = await lock.query('SELECT pg_try_advisory_lock($1) AS ok', [LOCK_KEY]);
+    if (!locked.rows[0].ok) throw new Error('Abgleich läuft bereits');
+
+    const run = await pool.query('INSERT INTO reconciliation_runs (triggered_by) VALUES ($1) RETURNING id', [triggeredBy]);
+    const runId = run.rows[0].id;
+    const report = [];
+    let checked = 0;
+    let runError = null;
+
+    try {
+      for (const order of await staleOrders()) {
+        checked++;
+        let entry;
+        try {
+          entry = await reconcileOrder(order);
+        } catch (e) {
+          entry = { order_id: order.id, session_id: order.stripe_session_id, issue: 'error', action: 'failed', error: e.message };
+        }
+        if (!entry) continue;
+        report.push(entry);
+        if (entry.action === 'none' || entry.action === 'failed') {
+          await pool.query('UPDATE orders SET reconciled_at = NOW() WHERE id = $1', [order.id]);
+        }
+      }
+    } catch (e) {
+      runError = e.message;
+    }
+
+    const fixed = report.filter(r => r.action !== 'none' && r.action !== 'failed').length;
+    const result = await pool.query(
+      `UPDATE reconciliation_runs SET finished_at = NOW(), checked = $2, fixed = $3, report = $4, error = $5
+       WHERE id = $1 RETURNING *`,
+      [runId, checked, fixed, JSON.stringify(report), runError]
+    );
+    console.log(`[RECONCILE] Run ${runId} (${triggeredBy}): ${checked} checked, ${fixed} fixed, ${report.length - fixed} open${runError ? `, error: ${runError}` : ''}`);
+    return result.rows[0];
+  } finally {
+    await lock.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    lock.release();
+  }
+}
+
+function startReconciliation() {
+  if (timer) return;
+  const tick = () => reconcileOrders().catch(e => console.error('[RECONCILE] Run failed:', e.message));
+  tick();
+  timer = setInterval(tick, INTERVAL_MINUTES * 60 * 1000);
+  console.log(`[RECONCILE] Running every ${INTERVAL_MINUTES} min (orders older than ${MIN_AGE_MINUTES} min)`);
+}
+
+function stopReconciliation() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { reconcileOrders, startReconciliation, stopReconciliation };
+
+// `npm run reconcile`: one run from the command line, e.g. against a local
+// Stripe stand-in (STRIPE_API_HOST / _PORT / _PROTOCOL, see shop/stripe.js)
+if (require.main === module) {
+  reconcileOrders('cli')
+    .then((run) => {
+      console.log(JSON.stringify(run.report, null, 2));
+      return pool.end();
+    })
+    .catch(async (e) => {
+      console.error('[RECONCILE] Failed:', e.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
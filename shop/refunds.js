@@ -0,0 +1,196 @@
+const pool = require('../db');
+const { stripe } = require('./stripe');
+const { revokeGrants } = require('./downloads');
+const { revokePurchaseCredits } = require('./credits');
+const { issueCancellation, invoiceAttachment } = require('./invoices');
+const { revokeVouchersForItem, returnVoucherAmount } = require('./vouchers');
+const { sendDisputeAlert, sendInvoiceEmail } = require('./delivery');
+
+const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+function formatEur(cents) {
+  return `€${(cents / 100).toFixed(2).replace('.', ',')}`;
+}
+
+// ─────────────────────────────────────────
+// Take back what an order delivered: download links, unused package
+// credits and gift voucher balances. Runs once per order (deliverables_revoked_at).
+// ─────────────────────────────────────────
+async function revokeDeliverables(orderId, why) {
+  const claimed = await pool.query(
+    `UPDATE orders SET deliverables_revoked_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND deliverables_revoked_at IS NULL RETURNING id`,
+    [orderId]
+  );
+  if (claimed.rows.length === 0) return null;
+
+  const items = await pool.query('SELECT id, product_type FROM order_items WHERE order_id = $1', [orderId]);
+  let downloads = 0;
+  let credits = 0;
+  let vouchers = 0;
+  for (const item of items.rows) {
+    if (item.product_type === 'download') downloads += await revokeGrants(pool, item.id, why);
+    if (item.product_type === 'paket') credits += await revokePurchaseCredits({ orderItemId: item.id, note: why });
+    if (item.product_type === 'gutschein') vouchers += await revokeVouchersForItem(item.id, why);
+  }
+  console.log(`[REFUNDS] Order ${orderId} (${why}): ${downloads} download link(s) revoked, ${credits} credit(s) removed, ${vouchers} voucher(s) revoked`);
+  return { downloads, credits, vouchers };
+}
+
+// ─────────────────────────────────────────
+// Stornorechnung for whatever was refunded beyond earlier ones, then mail
+// every cancellation of the order not sent yet, so one whose email failed
+// goes out on the next call (e.g. the charge.refunded job retry).
+// emailed_at is claimed before sending and cleared again on failure.
+// ─────────────────────────────────────────
+async function issueRefundInvoice(order, createdBy = '') {
+  const cancellation = await issueCancellation(order.id, { createdBy });
+  if (!order.customer_email) return cancellation;
+
+  const unsent = await pool.query(
+    `UPDATE invoices SET emailed_at = NOW()
+     WHERE order_id = $1 AND kind = 'cancellation' AND emailed_at IS NULL
+     RETURNING *`,
+    [order.id]
+  );
+  const invoices = unsent.rows.sort((a, b) => a.id - b.id);
+  for (const [idx, invoice] of invoices.entries()) {
+    try {
+      await sendInvoiceEmail({
+        to: order.customer_email,
+        name: order.customer_name,
+        number: invoice.number,
+        cancellation: true,
+        attachment: await invoiceAttachment(invoice)
+      });
+    } catch (e) {
+      // This one and the ones after it were not sent
+      await pool.query('UPDATE invoices SET emailed_at = NULL WHERE id = ANY($1)', [invoices.slice(idx).map(i => i.id)]);
+      throw e;
+    }
+  }
+  return cancellation;
+}
+
+// Stripe's running total for the payment, never added up on our side: our
+// own refunds and the charge.refunded webhook may arrive in either order
+async function applyRefundedTotal(paymentIntent, amountRefunded, fullyRefunded) {
+  const updated = await pool.query(
+    `UPDATE orders SET refunded_cents = LEAST(amount_cents, $2),
+       status = CASE WHEN $3 OR $2 >= amount_cents THEN 'refunded' ELSE status END,
+       updated_at = NOW()
+     WHERE stripe_payment_intent = $1 RETURNING *`,
+    [paymentIntent, amountRefunded || 0, !!fullyRefunded]
+  );
+  return updated.rows[0] || null;
+}
+
+// ─────────────────────────────────────────
+// ADMIN: full or partial refund through the Stripe API.
+// amountCents null = everything not refunded yet. revoke: take the
+// deliverables back (always for a full refund).
+// ─────────────────────────────────────────
+async function refundOrder(orderId, { amountCents = null, reason = '', revoke = false, createdBy }) {
+  const found = await pool.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+  const order = found.rows[0];
+  if (!order) return null;
+  if (order.status !== 'paid' && order.status !== 'refunded') throw new Error('Nur bezahlte Bestellungen können erstattet werden');
+  if (!order.stripe_payment_intent) throw new Error('Keine Stripe-Zahlung zu dieser Bestellung');
+
+  const refundable = order.amount_cents - order.refunded_cents;
+  const amount = amountCents ?? refundable;
+  if (!Number.isInteger(amount) || amount <= 0) throw new Error('Ungültiger Betrag');
+  if (amount > refundable) throw new Error(`Höchstens ${formatEur(refundable)} erstattbar`);
+
+  const refund = await stripe.refunds.create({
+    payment_intent: order.stripe_payment_intent,
+    amount,
+    ...(REFUND_REASONS.includes(reason) ? { reason } : {}),
+    metadata: { dimonte_order_id: String(order.id) }
+  }, {
+    // A double click must not refund twice
+    idempotencyKey: `refund-${order.id}-${order.refunded_cents}-${amount}`
+  });
+
+  await pool.query(
+    `INSERT INTO order_refunds (order_id, stripe_refund_id, amount_cents, status, reason, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (stripe_refund_id) DO UPDATE SET status = EXCLUDED.status, created_by = EXCLUDED.created_by`,
+    [order.id, refund.id, amount, refund.status || '', reason, createdBy]
+  );
+  const charge = await stripe.charges.retrieve(refund.charge);
+  const updated = await applyRefundedTotal(order.stripe_payment_intent, charge.amount_refunded, charge.refunded);
+  const full = updated.status === 'refunded';
+  console.log(`[REFUNDS] Order ${order.id}: ${formatEur(amount)} refunded by ${createdBy} (${refund.id})`);
+
+  const revoked = full || revoke ? await revokeDeliverables(order.id, full ? 'refund' : 'partial-refund') : null;
+  // Paid partly with a gift voucher: that part goes back onto the voucher
+  if (full) await returnVoucherAmount(order.id, 'refund');
+  // The money is back already, so a failure here is only logged. The
+  // charge.refunded job issues/sends what is missing when it runs (and
+  // retries); after that, an unsent Stornorechnung stays "Senden" in the admin.
+  await issueRefundInvoice(updated, createdBy)
+    .catch(e => console.error(`[REFUNDS] Cancellation invoice for order ${order.id} failed:`, e.message));
+  return { order: updated, refund, revoked };
+}
+
+// ─────────────────────────────────────────
+// Webhook charge.refunded: amount_refunded is the running total, so
+// replays and our own refunds (already counted above) are harmless
+// ─────────────────────────────────────────
+async function handleChargeRefunded(charge) {
+  const order = await applyRefundedTotal(charge.payment_intent, charge.amount_refunded, charge.refunded);
+  if (!order) {
+    console.warn(`[REFUNDS] charge.refunded for unknown payment ${charge.payment_intent}`);
+    return null;
+  }
+
+  // Only included when the charge was expanded; dashboard refunds show up here
+  for (const refund of charge.refunds?.data || []) {
+    await pool.query(
+      `INSERT INTO order_refunds (order_id, stripe_refund_id, amount_cents, status, reason)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (stripe_refund_id) DO UPDATE SET status = EXCLUDED.status`,
+      [order.id, refund.id, refund.amount, refund.status || '', refund.reason || '']
+    );
+  }
+
+  console.log(`[REFUNDS] Order ${order.id}: ${formatEur(order.refunded_cents)} refunded in total`);
+  if (order.status === 'refunded') {
+    await revokeDeliverables(order.id, 'refund');
+    await returnVoucherAmount(order.id, 'refund');
+  }
+  await issueRefundInvoice(order);
+  return order;
+}
+
+// ─────────────────────────────────────────
+// Webhook charge.dispute.created: block deliverables and alert Bianca.
+// The dispute itself is answered in the Stripe dashboard.
+// ─────────────────────────────────────────
+async function handleDisputeCreated(dispute) {
+  const updated = await pool.query(
+    `UPDATE orders SET disputed_at = COALESCE(disputed_at, NOW()), dispute_reason = $2, updated_at = NOW()
+     WHERE stripe_payment_intent = $1 RETURNING *, (disputed_at = NOW()) AS first_seen`,
+    [dispute.payment_intent, dispute.reason || '']
+  );
+  const order = updated.rows[0];
+  if (!order) {
+    console.warn(`[REFUNDS] Dispute for unknown payment ${dispute.payment_intent}`);
+    return null;
+  }
+
+  console.warn(`[REFUNDS] Order ${order.id} disputed (${dispute.reason})`);
+  await revokeDeliverables(order.id, 'dispute');
+  if (order.first_seen) {
+    await sendDisputeAlert({
+      orderId: order.id,
+      customerEmail: order.customer_email,
+      amountEur: formatEur(dispute.amount ?? order.amount_cents),
+      reason: dispute.reason
+    }).catch(e => console.error(`[REFUNDS] Dispute alert for order ${order.id} failed:`, e.message));
+  }
+  return order;
+}
+
+module.exports = { REFUND_REASONS, revokeDeliverables, refundOrder, handleChargeRefunded, handleDisputeCreated };
@@ -1,93 +1,196 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Stripe = require('stripe');
 const pool = require('../db');
 
+// STRIPE_API_HOST / _PORT / _PROTOCOL point the client at a local mock, e.g.
+// stripe-mock: STRIPE_API_HOST=localhost STRIPE_API_PORT=12111 STRIPE_API_PROTOCOL=http
+// (see shop/stripe-mock-check.js)
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY, {
+  ...(process.env.STRIPE_API_HOST ? { host: process.env.STRIPE_API_HOST } : {}),
+  ...(process.env.STRIPE_API_PORT ? { port: Number(process.env.STRIPE_API_PORT) } : {}),
+  ...(process.env.STRIPE_API_PROTOCOL ? { protocol: process.env.STRIPE_API_PROTOCOL } : {})
+});
+
 const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
 const BASE_URL = process.env.BASE_URL || 'https://dimontehypnose.de';
 
 // ─────────────────────────────────────────
-// Create Stripe Checkout Session
+// Stripe Product for a product (created on the fly the first time).
+// Kept across price changes, so coupon restrictions stay valid.
 // ─────────────────────────────────────────
-async function createCheckoutSession(product, customerEmail) {
-  // Free events: no Stripe needed
-  if (product.price_cents === 0) {
-    throw new Error('Kostenlose Events brauchen keinen Checkout');
+async function ensureStripeProduct(product) {
+  if (product.stripe_product_id) return product.stripe_product_id;
+
+  const stripeProduct = await stripe.products.create({
+    name: product.name,
+    description: product.description || undefined,
+    metadata: { dimonte_product_id: String(product.id) }
+  });
+
+  await pool.query(
+    'UPDATE products SET stripe_product_id = $1, updated_at = NOW() WHERE id = $2',
+    [stripeProduct.id, product.id]
+  );
+  product.stripe_product_id = stripeProduct.id;
+
+  return stripeProduct.id;
+}
+
+// ─────────────────────────────────────────
+// Stripe Price for a product (created on the fly the first time).
+// Stripe prices can't change their amount: a changed price gets a new
+// Stripe price, which becomes the product's default_price, and the old
+// one is archived. force: replace it even if the amount still matches
+// (e.g. archived in the Stripe dashboard), see shop/catalog.js.
+// ─────────────────────────────────────────
+async function ensureStripePrice(product, { force = false } = {}) {
+  if (product.stripe_price_id && product.stripe_price_cents === product.price_cents && !force) {
+    return product.stripe_price_id;
   }
 
-  // Ensure Stripe Price exists
-  let priceId = product.stripe_price_id;
+  const stripeProductId = await ensureStripeProduct(product);
+  const stripePrice = await stripe.prices.create({
+    product: stripeProductId,
+    unit_amount: product.price_cents,
+    currency: 'eur',
+    metadata: { dimonte_product_id: String(product.id) }
+  });
+  // The default price can't be archived, so switch first
+  await stripe.products.update(stripeProductId, { default_price: stripePrice.id });
+
+  // Save back to DB
+  await pool.query(
+    'UPDATE products SET stripe_price_id = $1, stripe_price_cents = $2, updated_at = NOW() WHERE id = $3',
+    [stripePrice.id, product.price_cents, product.id]
+  );
+  const oldPriceId = product.stripe_price_id;
+  product.stripe_price_id = stripePrice.id;
+  product.stripe_price_cents = product.price_cents;
 
-  if (!priceId) {
-    // Create product + price in Stripe on the fly
-    const stripeProduct = await stripe.products.create({
-      name: product.name,
-      description: product.description || undefined,
-      metadata: { dimonte_product_id: String(product.id) }
+  if (oldPriceId) {
+    await stripe.prices.update(oldPriceId, { active: false }).catch(e => {
+      console.warn(`[STRIPE] Could not archive price ${oldPriceId}:`, e.message);
     });
+  }
 
-    const stripePrice = await stripe.prices.create({
-      product: stripeProduct.id,
-      unit_amount: product.price_cents,
-      currency: 'eur',
-    });
+  return stripePrice.id;
+}
 
-    priceId = stripePrice.id;
+// Price of one unit: the product price, or what the buyer chose (gift vouchers)
+function unitAmount(item) {
+  return item.unitCents ?? item.product.price_cents;
+}
 
-    // Save back to DB
-    await pool.query(
-      'UPDATE products SET stripe_price_id = $1, stripe_product_id = $2, updated_at = NOW() WHERE id = $3',
-      [priceId, stripeProduct.id, product.id]
-    );
+// ─────────────────────────────────────────
+// Create Stripe Checkout Session for a cart
+// items: [{ product, quantity, unitCents?, details? }]
+// coupon: row from shop/coupons.js, already checked. Without one the
+// customer can still enter a code at Stripe.
+// voucher: { id, amountCents, stripeCouponId } from shop/vouchers.js; the
+// amount is booked off the voucher together with the order.
+// ─────────────────────────────────────────
+async function createCheckoutSession(items, customerEmail, { coupon = null, voucher = null } = {}) {
+  // Free events: no Stripe needed
+  if (items.some(i => unitAmount(i) === 0)) {
+    throw new Error('Kostenlose Events brauchen keinen Checkout');
   }
 
+  const lineItems = [];
+  for (const item of items) {
+    lineItems.push(item.unitCents != null && item.unitCents !== item.product.price_cents
+      ? {
+        price_data: { currency: 'eur', product: await ensureStripeProduct(item.product), unit_amount: item.unitCents },
+        quantity: item.quantity
+      }
+      : { price: await ensureStripePrice(item.product), quantity: item.quantity });
+  }
+
+  const productIds = items.map(i => String(i.product.id)).join(',');
+  // What Stripe charges; a voucher pays the rest
+  const amountCents = items.reduce((sum, i) => sum + unitAmount(i) * i.quantity, 0) - (voucher?.amountCents || 0);
+
   const session = await stripe.checkout.sessions.create({
-  mode: 'payment',
-  payment_method_configuration: 'pmc_1RX7RA2Ru2tLnDIM6DRM7Kth',
-  allow_promotion_codes: true,
-  line_items: [{ price: priceId, quantity: 1 }],
-  customer_email: customerEmail || undefined,
-  success_url: `${BASE_URL}/danke.html?session_id={CHECKOUT_SESSION_ID}`,
-  cancel_url: `${BASE_URL}/termin.html`,
-  metadata: {
-    dimonte_product_id: String(product.id),
-    product_type: product.type,
-  },
-  payment_intent_data: {
+    mode: 'payment',
+    payment_method_configuration: 'pmc_1RX7RA2Ru2tLnDIM6DRM7Kth',
+    // Stripe allows either one preset discount or the code field, not both
+    ...(coupon
+      ? { discounts: [{ promotion_code: coupon.stripe_promotion_code_id }] }
+      : voucher
+        ? { discounts: [{ coupon: voucher.stripeCouponId }] }
+        : { allow_promotion_codes: true }),
+    line_items: lineItems,
+    customer_email: customerEmail || undefined,
+    // Name and address for the invoice (shop/invoices.js)
+    billing_address_collection: 'required',
+    success_url: `${BASE_URL}/danke.html?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${BASE_URL}/termin.html`,
     metadata: {
-      dimonte_product_id: String(product.id),
-      product_name: product.name,
+      dimonte_product_ids: productIds,
+      // Single-product sessions keep the old keys
+      ...(items.length === 1 ? { dimonte_product_id: productIds, product_type: items[0].product.type } : {})
+    },
+    payment_intent_data: {
+      metadata: {
+        dimonte_product_ids: productIds,
+        product_name: items.map(i => (i.quantity > 1 ? `${i.quantity}× ${i.product.name}` : i.product.name)).join(', ').slice(0, 500),
+      }
     }
-  }
-});
+  });
 
-  // Create pending order
-  await pool.query(
-    `INSERT INTO orders (product_id, stripe_session_id, customer_email, amount_cents, status)
-     VALUES ($1, $2, $3, $4, 'pending')
-     ON CONFLICT (stripe_session_id) DO NOTHING`,
-    [product.id, session.id, customerEmail || '', product.price_cents]
-  );
+  // Create pending order with its items
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const order = await client.query(
+      `INSERT INTO orders (product_id, stripe_session_id, customer_email, amount_cents, status)
+       VALUES ($1, $2, $3, $4, 'pending')
+       ON CONFLICT (stripe_session_id) DO NOTHING
+       RETURNING id`,
+      [items[0].product.id, session.id, customerEmail || '', amountCents]
+    );
+    if (order.rows.length > 0) {
+      for (const item of items) {
+        await client.query(
+          `INSERT INTO order_items (order_id, product_id, product_name, product_type, unit_amount_cents, quantity, details)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [order.rows[0].id, item.product.id, item.product.name, item.product.type, unitAmount(item), item.quantity,
+            item.details ? JSON.stringify(item.details) : null]
+        );
+      }
+      if (voucher) {
+        const { reserveVoucher } = require('./vouchers');
+        await reserveVoucher(client, voucher, order.rows[0].id);
+      }
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    // Nobody must be able to pay a session we have no order for
+    if (voucher) await stripe.checkout.sessions.expire(session.id).catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
 
   return session;
 }
 
 // ─────────────────────────────────────────
-// Handle Stripe Webhook
+// Stripe webhook: signature check only. The event is stored and processed
+// by the job queue, see shop/webhooks.js.
 // ─────────────────────────────────────────
-async function handleWebhook(rawBody, signature) {
-  let event;
-
+function constructWebhookEvent(rawBody, signature) {
   try {
-    event = stripe.webhooks.constructEvent(rawBody, signature, WEBHOOK_SECRET);
+    return stripe.webhooks.constructEvent(rawBody, signature, WEBHOOK_SECRET);
   } catch (err) {
     throw new Error(`Webhook signature invalid: ${err.message}`);
   }
+}
 
-  console.log(`[STRIPE] Event: ${event.type}`);
+// checkout.session.completed / .expired → order status
+async function applyCheckoutSession(event) {
+  const session = event.data.object;
 
   if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    const productId = session.metadata?.dimonte_product_id;
-
     await pool.query(
       `UPDATE orders
        SET status = 'paid',
@@ -95,7 +198,7 @@ async function handleWebhook(rawBody, signature) {
            customer_email = $2,
            stripe_payment_intent = $3,
            updated_at = NOW()
-       WHERE stripe_session_id = $4`,
+       WHERE stripe_session_id = $4 AND status IN ('pending', 'cancelled')`,
       [
         session.customer_details?.name || '',
         session.customer_details?.email || session.customer_email || '',
@@ -104,18 +207,15 @@ async function handleWebhook(rawBody, signature) {
       ]
     );
 
-    console.log(`[STRIPE] Order paid: session=${session.id} product=${productId}`);
+    console.log(`[STRIPE] Order paid: session=${session.id}`);
   }
 
   if (event.type === 'checkout.session.expired') {
-    const session = event.data.object;
     await pool.query(
-      `UPDATE orders SET status = 'cancelled', updated_at = NOW() WHERE stripe_session_id = $1`,
+      `UPDATE orders SET status = 'cancelled', updated_at = NOW() WHERE stripe_session_id = $1 AND status = 'pending'`,
       [session.id]
     );
   }
-
-  return { received: true };
 }
 
-module.exports = { createCheckoutSession, handleWebhook };
\ No newline at end of file
+module.exports = { stripe, ensureStripeProduct, ensureStripePrice, createCheckoutSession, constructWebhookEvent, applyCheckoutSession };
\ No newline at end of file
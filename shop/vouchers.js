@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const pool = require('../db');
+const { stripe } = require('./stripe');
+const { BASE_URL } = require('../content/urls');
+const { sendVoucherToRecipient } = require('./delivery');
+
+// Free amounts: what a buyer may pick
+const MIN_CENTS = parseInt(process.env.VOUCHER_MIN_CENTS || 1000);
+const MAX_CENTS = parseInt(process.env.VOUCHER_MAX_CENTS || 50000);
+// Stripe won't charge less than €0.50, so a voucher never leaves a smaller rest
+const MIN_CHARGE_CENTS = 50;
+const SEND_INTERVAL_MINUTES = 5;
+const MAX_MESSAGE_LENGTH = 500;
+// No 0/O, 1/I/L: codes get typed in from paper
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+let timer = null;
+
+function formatEur(cents) {
+  return `€${(cents / 100).toFixed(2).replace('.', ',')}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('de-DE', { timeZone: 'Europe/Berlin', day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// DM-XXXX-XXXX; stored with dashes, compared without
+function generateCode() {
+  const chars = [...crypto.randomBytes(8)].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return `DM-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+async function getVoucherBalance(db, voucherId) {
+  const result = await db.query(
+    'SELECT COALESCE(SUM(delta_cents), 0)::int AS balance FROM voucher_ledger WHERE voucher_id = $1',
+    [voucherId]
+  );
+  return result.rows[0].balance;
+}
+
+async function findVoucher(db, code) {
+  const result = await db.query(
+    `SELECT * FROM vouchers WHERE regexp_replace(code, '[^A-Z0-9]', '', 'g') = $1 LIMIT 1`,
+    [normalizeCode(code)]
+  );
+  return result.rows[0] || null;
+}
+
+// Row lock on the voucher for the transaction, so two checkouts can't both spend the rest
+async function withVoucherLock(voucherId, fn, client = null) {
+  const db = client || await pool.connect();
+  try {
+    if (!client) await db.query('BEGIN');
+    const locked = await db.query('SELECT * FROM vouchers WHERE id = $1 FOR UPDATE', [voucherId]);
+    const result = locked.rows.length ? await fn(db, locked.rows[0]) : null;
+    if (!client) await db.query('COMMIT');
+    return result;
+  } catch (e) {
+    if (!client) await db.query('ROLLBACK');
+    throw e;
+  } finally {
+    if (!client) db.release();
+  }
+}
+
+// ─────────────────────────────────────────
+// Checkout, buying: what the buyer entered for one voucher line →
+// { unitCents, details } or a German error. send_on: YYYY-MM-DD, the
+// voucher goes to the recipient that morning (empty = right away).
+// ─────────────────────────────────────────
+function voucherCheckoutItem(product, entry = {}) {
+  let unitCents = product.price_cents;
+  if (product.voucher_free_amount) {
+    unitCents = Math.round(parseFloat(String(entry.amount_euros ?? '').replace(',', '.')) * 100);
+    if (!Number.isInteger(unitCents) || unitCents < MIN_CENTS || unitCents > MAX_CENTS) {
+      throw new Error(`Gutscheinbetrag zwischen ${formatEur(MIN_CENTS)} und ${formatEur(MAX_CENTS)} wählen`);
+    }
+  }
+
+  const recipientEmail = String(entry.recipient_email || '').trim().slice(0, 200);
+  if (recipientEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) throw new Error('Ungültige E-Mail-Adresse der beschenkten Person');
+  const sendOn = String(entry.send_on || '').trim();
+  if (sendOn) {
+    if (!recipientEmail) throw new Error('Für einen Versandtermin fehlt die E-Mail-Adresse der beschenkten Person');
+    const day = new Date(`${sendOn}T12:00:00Z`);
+    const today = new Date(new Date().toISOString().slice(0, 10) + 'T00:00:00Z');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(sendOn) || Number.isNaN(day.getTime())) throw new Error('Ungültiger Versandtermin');
+    if (day < today || day - today > 366 * 24 * 3600 * 1000) throw new Error('Versandtermin muss innerhalb der nächsten 12 Monate liegen');
+  }
+
+  return {
+    unitCents,
+    details: {
+      recipient_name: String(entry.recipient_name || '').trim().slice(0, 200),
+      recipient_email: recipientEmail,
+      message: String(entry.message || '').trim().slice(0, MAX_MESSAGE_LENGTH),
+      send_on: sendOn || null
+    }
+  };
+}
+
+// ─────────────────────────────────────────
+// Checkout, redeeming: code + cart → { voucher, amountCents } with the
+// part of the cart the voucher pays, or a German error.
+// totalCents: cart total in cents.
+// ─────────────────────────────────────────
+async function voucherForCheckout(code, items, totalCents) {
+  const voucher = await findVoucher(pool, code);
+  if (!voucher || voucher.revoked_at) throw new Error('Ungültiger Gutscheincode');
+  if (new Date(voucher.expires_at) <= new Date()) throw new Error(`Der Gutschein ist am ${formatDate(voucher.expires_at)} abgelaufen`);
+  if (items.some(i => i.product.type === 'gutschein')) throw new Error('Gutscheine können nicht mit einem Gutschein bezahlt werden');
+
+  const balance = await getVoucherBalance(pool, voucher.id);
+  if (balance <= 0) throw new Error('Der Gutschein ist bereits aufgebraucht');
+
+  let amountCents = Math.min(balance, totalCents);
+  const rest = totalCents - amountCents;
+  if (rest > 0 && rest < MIN_CHARGE_CENTS) amountCents = totalCents - MIN_CHARGE_CENTS;
+  if (amountCents <= 0) throw new Error(`Restbetrag unter ${formatEur(MIN_CHARGE_CENTS)} – bitte ohne Gutschein bezahlen`);
+  return { voucher, amountCents };
+}
+
+// One-off Stripe coupon for exactly this checkout
+async function createVoucherCoupon(voucher, amountCents) {
+  const coupon = await stripe.coupons.create({
+    name: `Gutschein ${voucher.code}`,
+    amount_off: amountCents,
+    currency: 'eur',
+    duration: 'once',
+    max_redemptions: 1,
+    metadata: { dimonte_voucher_id: String(voucher.id) }
+  });
+  return coupon.id;
+}
+
+async function deleteVoucherCoupon(couponId) {
+  if (!couponId) return;
+  await stripe.coupons.del(couponId).catch(e => {
+    if (e.statusCode !== 404) console.warn(`[VOUCHERS] Could not delete Stripe coupon ${couponId}:`, e.message);
+  });
+}
+
+// Inside the transaction that creates the order (shop/stripe.js): book the
+// amount. Throws if someone else spent the balance in the meantime.
+// voucher: { id, amountCents, stripeCouponId }
+async function reserveVoucher(client, { id: voucherId, amountCents, stripeCouponId }, orderId) {
+  return withVoucherLock(voucherId, async (db) => {
+    const balance = await getVoucherBalance(db, voucherId);
+    if (balance < amountCents) throw new Error('Das Gutschein-Guthaben reicht nicht mehr – bitte erneut versuchen');
+    await db.query(
+      `INSERT INTO voucher_ledger (voucher_id, order_id, delta_cents, reason) VALUES ($1, $2, $3, 'redemption')`,
+      [voucherId, orderId, -amountCents]
+    );
+    await db.query(
+      'UPDATE orders SET voucher_id = $1, voucher_cents = $2, voucher_stripe_coupon_id = $3 WHERE id = $4',
+      [voucherId, amountCents, stripeCouponId, orderId]
+    );
+    return balance - amountCents;
+  }, client);
+}
+
+// Book back what an order took from its voucher; reason release (checkout
+// expired) or refund (order fully refunded). Runs once per order and reason.
+async function returnVoucherAmount(orderId, reason, note = '') {
+  const found = await pool.query('SELECT voucher_id, voucher_cents, voucher_stripe_coupon_id FROM orders WHERE id = $1', [orderId]);
+  const order = found.rows[0];
+  if (!order?.voucher_id || order.voucher_cents <= 0) return null;
+
+  const returned = await withVoucherLock(order.voucher_id, async (db) => {
+    const inserted = await db.query(
+      `INSERT INTO voucher_ledger (voucher_id, order_id, delta_cents, reason, note)
+       SELECT $1, $2, $3, $4, $5
+       WHERE EXISTS (SELECT 1 FROM voucher_ledger WHERE order_id = $2 AND reason = 'redemption')
+       ON CONFLICT DO NOTHING RETURNING id`,
+      [order.voucher_id, orderId, order.voucher_cents, reason, note]
+    );
+    return inserted.rows.length > 0;
+  });
+  if (reason === 'release') await deleteVoucherCoupon(order.voucher_stripe_coupon_id);
+  if (returned) console.log(`[VOUCHERS] ${formatEur(order.voucher_cents)} back on voucher ${order.voucher_id} (order ${orderId}, ${reason})`);
+  return returned;
+}
+
+// checkout.session.expired → the booked amount is free again
+async function releaseVoucherForSession(session) {
+  const found = await pool.query(`SELECT id FROM orders WHERE stripe_session_id = $1 AND status = 'cancelled'`, [session.id]);
+  if (found.rows.length === 0) return null;
+  return returnVoucherAmount(found.rows[0].id, 'release');
+}
+
+// ─────────────────────────────────────────
+// Purchase: one voucher per unit of a gutschein order item, valid until
+// the end of the third year after purchase (regular limitation period).
+// Returns all vouchers of the item, also on a retry.
+// ─────────────────────────────────────────
+async function issueVouchers(item, { purchaserName, purchaserEmail }) {
+  const details = item.details || {};
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (let seq = 1; seq <= item.quantity; seq++) {
+      const inserted = await client.query(
+        `INSERT INTO vouchers (code, order_item_id, item_seq, initial_cents, purchaser_name, purchaser_email,
+           recipient_name, recipient_email, message, send_at, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+           CASE WHEN $8 <> '' THEN COALESCE(($10::date + time '09:00') AT TIME ZONE 'Europe/Berlin', NOW()) END,
+           (date_trunc('year', NOW() AT TIME ZONE 'Europe/Berlin') + interval '4 years' - interval '1 second') AT TIME ZONE 'Europe/Berlin')
+         ON CONFLICT (order_item_id, item_seq) DO NOTHING RETURNING id`,
+        [generateCode(), item.id, seq, item.unit_amount_cents, purchaserName || '', purchaserEmail || '',
+          details.recipient_name || '', details.recipient_email || '', details.message || '', details.send_on || null]
+      );
+      if (inserted.rows.length > 0) {
+        await client.query(
+          `INSERT INTO voucher_ledger (voucher_id, order_id, delta_cents, reason) VALUES ($1, $2, $3, 'purchase')`,
+          [inserted.rows[0].id, item.order_id, item.unit_amount_cents]
+        );
+      }
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  const vouchers = await pool.query('SELECT * FROM vouchers WHERE order_item_id = $1 ORDER BY item_seq', [item.id]);
+  console.log(`[VOUCHERS] Order item ${item.id}: ${vouchers.rows.map(v => v.code).join(', ')}`);
+  return vouchers.rows;
+}
+
+// Refund / dispute of the purchase: remaining balance gone (shop/refunds.js)
+async function revokeVouchersForItem(orderItemId, note) {
+  const vouchers = await pool.query('SELECT id FROM vouchers WHERE order_item_id = $1 AND revoked_at IS NULL', [orderItemId]);
+  let count = 0;
+  for (const { id } of vouchers.rows) {
+    if (await revokeVoucher(id, { note })) count++;
+  }
+  return count;
+}
+
+// ─────────────────────────────────────────
+// ADMIN
+// ─────────────────────────────────────────
+async function adjustVoucher(id, { deltaCents, note = '', createdBy = '' }) {
+  return withVoucherLock(id, async (db, voucher) => {
+    if (voucher.revoked_at) throw new Error('Der Gutschein ist gesperrt');
+    const balance = await getVoucherBalance(db, id);
+    if (balance + deltaCents < 0) throw new Error(`Höchstens ${formatEur(balance)} abziehbar`);
+    await db.query(
+      `INSERT INTO voucher_ledger (voucher_id, delta_cents, reason, note, created_by) VALUES ($1, $2, 'adjustment', $3, $4)`,
+      [id, deltaCents, note, createdBy]
+    );
+    return balance + deltaCents;
+  });
+}
+
+// Blocks the code and books the rest off; returns false if already revoked
+async function revokeVoucher(id, { note = '', createdBy = '' } = {}) {
+  return withVoucherLock(id, async (db, voucher) => {
+    if (voucher.revoked_at) return false;
+    const balance = await getVoucherBalance(db, id);
+    if (balance > 0) {
+      await db.query(
+        `INSERT INTO voucher_ledger (voucher_id, delta_cents, reason, note, created_by) VALUES ($1, $2, 'revoke', $3, $4)`,
+        [id, -balance, note, createdBy]
+      );
+    }
+    await db.query('UPDATE vouchers SET revoked_at = NOW() WHERE id = $1', [id]);
+    console.log(`[VOUCHERS] Voucher ${voucher.code} revoked${note ? ` (${note})` : ''}`);
+    return true;
+  });
+}
+
+// ─────────────────────────────────────────
+// PDF: printable voucher, A5 landscape
+// ─────────────────────────────────────────
+function renderVoucherPdf(voucher) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A5', layout: 'landscape', margin: 40, info: { Title: `Gutschein ${voucher.code}` } });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - 80;
+    doc.rect(20, 20, doc.page.width - 40, doc.page.height - 40).lineWidth(1.5).strokeColor('#2a1005').stroke();
+
+    doc.font('Helvetica').fontSize(11).fillColor('#8a6a55').text('DiMonte Hypnose', 40, 48, { width, align: 'center', characterSpacing: 2 });
+    doc.font('Helvetica-Bold').fontSize(30).fillColor('#2a1005').text('Gutschein', 40, 72, { width, align: 'center' });
+    doc.font('Helvetica-Bold').fontSize(24).fillColor('#1b2d18').text(formatEur(voucher.initial_cents), { width, align: 'center' });
+
+    doc.moveDown(0.6).font('Helvetica').fontSize(12).fillColor('#2a1005');
+    if (voucher.recipient_name) doc.text(`für ${voucher.recipient_name}`, { width, align: 'center' });
+    if (voucher.purchaser_name) doc.text(`von ${voucher.purchaser_name}`, { width, align: 'center' });
+    if (voucher.message) {
+      doc.moveDown(0.6).font('Helvetica-Oblique').fontSize(11).fillColor('#5a3a25')
+        .text(`„${voucher.message}“`, 80, doc.y, { width: width - 80, align: 'center' });
+    }
+
+    const bottom = doc.page.height - 130;
+    doc.font('Helvetica').fontSize(10).fillColor('#5a3a25').text('Gutscheincode', 40, bottom, { width, align: 'center' });
+    doc.font('Courier-Bold').fontSize(20).fillColor('#2a1005').text(voucher.code, 40, bottom + 14, { width, align: 'center' });
+    doc.font('Helvetica').fontSize(8.5).fillColor('#8a6a55')
+      .text(`Gültig bis ${formatDate(voucher.expires_at)} · einlösbar für alle Angebote auf ${BASE_URL.replace(/^https?:\/\//, '')}, auch in Teilbeträgen`,
+        40, bottom + 44, { width, align: 'center' });
+
+    doc.end();
+  });
+}
+
+// Resend attachment format
+async function voucherAttachment(voucher) {
+  return { filename: `Gutschein-${voucher.code}.pdf`, content: (await renderVoucherPdf(voucher)).toString('base64') };
+}
+
+// ─────────────────────────────────────────
+// Recipient emails on the chosen date. Claimed (sent_at) before sending,
+// given back on failure, so two instances never send one twice.
+// ─────────────────────────────────────────
+async function sendVoucherEmail(voucher) {
+  await sendVoucherToRecipient({
+    to: voucher.recipient_email,
+    recipientName: voucher.recipient_name,
+    fromName: voucher.purchaser_name,
+    amountEur: formatEur(voucher.initial_cents),
+    message: voucher.message,
+    code: voucher.code,
+    expiresAt: voucher.expires_at,
+    attachment: await voucherAttachment(voucher)
+  });
+}
+
+async function sendDueVoucherEmails() {
+  const due = await pool.query(
+    `UPDATE vouchers SET sent_at = NOW()
+     WHERE id IN (
+       SELECT id FROM vouchers
+       WHERE sent_at IS NULL AND recipient_email <> '' AND revoked_at IS NULL AND send_at <= NOW()
+       ORDER BY send_at LIMIT 20
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`
+  );
+  for (const voucher of due.rows) {
+    try {
+      await sendVoucherEmail(voucher);
+    } catch (e) {
+      await pool.query('UPDATE vouchers SET sent_at = NULL WHERE id = $1', [voucher.id]);
+      console.error(`[VOUCHERS] Sending ${voucher.code} failed:`, e.message);
+    }
+  }
+  return due.rows.length;
+}
+
+function startVoucherScheduler() {
+  if (timer) return;
+  const tick = () => sendDueVoucherEmails().catch(e => console.error('[VOUCHERS] Scheduler failed:', e.message));
+  tick();
+  timer = setInterval(tick, SEND_INTERVAL_MINUTES * 60 * 1000);
+  console.log(`[VOUCHERS] Sending scheduled vouchers every ${SEND_INTERVAL_MINUTES} min`);
+}
+
+function stopVoucherScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  voucherCheckoutItem,
+  voucherForCheckout,
+  createVoucherCoupon,
+  deleteVoucherCoupon,
+  reserveVoucher,
+  returnVoucherAmount,
+  releaseVoucherForSession,
+  issueVouchers,
+  revokeVouchersForItem,
+  getVoucherBalance,
+  adjustVoucher,
+  revokeVoucher,
+  voucherAttachment,
+  sendVoucherEmail,
+  sendDueVoucherEmails,
+  startVoucherScheduler,
+  stopVoucherScheduler
+};
@@ -0,0 +1,84 @@
+const pool = require('../db');
+const { registerJobHandler, enqueueJob, kickJobs, retryJob } = require('../jobs');
+const { applyCheckoutSession } = require('./stripe');
+const { fulfillOrder } = require('./fulfillment');
+const { recordCouponUse } = require('./coupons');
+const { releaseVoucherForSession } = require('./vouchers');
+const { handleChargeRefunded, handleDisputeCreated } = require('./refunds');
+
+// ─────────────────────────────────────────
+// Store first, answer Stripe, then work: the event row and its job are
+// written in one transaction. Returns false for an event id we already
+// have (Stripe retry), which is answered without doing anything again.
+// ─────────────────────────────────────────
+async function recordStripeEvent(event) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const sessionId = event.type.startsWith('checkout.session.') ? event.data.object.id : null;
+    const inserted = await client.query(
+      `INSERT INTO stripe_events (id, type, payload, livemode, session_id) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (id) DO NOTHING RETURNING id`,
+      [event.id, event.type, JSON.stringify(event), !!event.livemode, sessionId]
+    );
+    if (inserted.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    const job = await enqueueJob(client, 'stripe-event', { event_id: event.id });
+    await client.query('UPDATE stripe_events SET job_id = $1 WHERE id = $2', [job.id, event.id]);
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+  kickJobs();
+  return true;
+}
+
+// ─────────────────────────────────────────
+// The actual work per event type. Every step is idempotent on its own
+// (order status guards, coupon_code IS NULL, delivered_at per item,
+// admin_notified_at, absolute refund totals, one voucher release per
+// order), so a retry after a failed email only redoes what is missing.
+// ─────────────────────────────────────────
+async function processStripeEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await applyCheckoutSession(event);
+      await recordCouponUse(event.data.object);
+      await fulfillOrder(event.data.object);
+      break;
+    case 'checkout.session.expired':
+      await applyCheckoutSession(event);
+      await releaseVoucherForSession(event.data.object);
+      break;
+    // Refunds (also from the Stripe dashboard) and chargebacks: see shop/refunds.js.
+    // Both events have to be enabled on the webhook endpoint in Stripe.
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object);
+      break;
+    case 'charge.dispute.created':
+      await handleDisputeCreated(event.data.object);
+      break;
+    default:
+      console.log(`[STRIPE] Ignoring event ${event.type}`);
+  }
+}
+
+registerJobHandler('stripe-event', async ({ event_id }) => {
+  const found = await pool.query('SELECT payload FROM stripe_events WHERE id = $1', [event_id]);
+  if (found.rows.length === 0) throw new Error(`Stripe event ${event_id} not found`);
+  await processStripeEvent(found.rows[0].payload);
+});
+
+// Admin: failed event back into the queue
+async function reprocessStripeEvent(eventId) {
+  const found = await pool.query('SELECT job_id FROM stripe_events WHERE id = $1', [eventId]);
+  if (found.rows.length === 0) return null;
+  return retryJob(found.rows[0].job_id);
+}
+
+module.exports = { recordStripeEvent, processStripeEvent, reprocessStripeEvent };
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+const TOKEN_SECRET = process.env.TOKEN_SECRET || process.env.SESSION_SECRET || 'change-me';
+
+if (TOKEN_SECRET === 'change-me') {
+  console.warn('[TOKENS] WARNING: TOKEN_SECRET / SESSION_SECRET is not set');
+}
+
+function hmac(purpose, payload) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(`${purpose}:${payload}`).digest('base64url');
+}
+
+// Signed, URL-safe token: "<payload>.<signature>". The purpose is part of the
+// signature, so a preview token can never be used as a download token etc.
+function signToken(purpose, fields) {
+  const payload = Buffer.from(fields.map(String).join('.')).toString('base64url');
+  return `${payload}.${hmac(purpose, payload)}`;
+}
+
+// Returns the signed fields (as strings) or null if the signature does not match
+function verifyToken(purpose, token) {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+  const expected = Buffer.from(hmac(purpose, payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return Buffer.from(payload, 'base64url').toString().split('.');
+}
+
+// Keyed one-way hash for values we only compare, never read back (e.g. IPs)
+function hashValue(purpose, value) {
+  return hmac(purpose, String(value ?? '')).slice(0, 32);
+}
+
+module.exports = { signToken, verifyToken, hashValue };